@@ -0,0 +1,339 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+import {downloadFile} from './utils.js';
+
+//==============================================================================
+
+/**
+ * The kinds of problem found when checking a map's annotations, most
+ * serious first, each with a description and the colour used to outline
+ * features with the problem.
+ *
+ * * ``error`` -- the feature's annotation couldn't be parsed.
+ * * ``duplicate-models`` -- other features model the same anatomical term.
+ * * ``no-models`` -- the feature doesn't model an anatomical term.
+ * * ``no-label`` -- the feature has no label.
+ *
+ * @type {Object.<string, {description: string, colour: string}>}
+ */
+export const ANNOTATION_ISSUES = Object.freeze({
+    'error': Object.freeze({
+        description: 'Annotation error',
+        colour: '#E00000'
+    }),
+    'duplicate-models': Object.freeze({
+        description: 'Duplicate models',
+        colour: '#B000C8'
+    }),
+    'no-models': Object.freeze({
+        description: 'No models',
+        colour: '#F08000'
+    }),
+    'no-label': Object.freeze({
+        description: 'No label',
+        colour: '#009CA8'
+    })
+});
+
+const ISSUE_KINDS = Object.keys(ANNOTATION_ISSUES);
+
+// How many issues of a kind are listed at a time by the issues panel
+
+const ISSUE_PAGE_SIZE = 100;
+
+// Columns of the CSV export
+
+const CSV_COLUMNS = ['featureId', 'layer', 'issue', 'label', 'models', 'message'];
+
+//==============================================================================
+
+/**
+ * @typedef {Object} AnnotationIssue
+ * @property {string} featureId  The feature's identifier
+ * @property {string} issue  The kind of issue, one of :attr:`ANNOTATION_ISSUES`
+ * @property {string} message  What is wrong
+ * @property {string} [layer]  The feature's layer
+ * @property {string} [label]  The feature's label
+ * @property {string} [models]  The anatomical term the feature models
+ */
+
+/**
+ * Check a map's annotations.
+ *
+ * @param      {Map.<string, Object>}  annotations  Annotations by feature identifier
+ * @return     {Array.<AnnotationIssue>}  Issues ordered by seriousness, then by layer
+ *                                        and feature
+ */
+export function findAnnotationIssues(annotations)
+//===============================================
+{
+    const featureIdsByModel = new Map();
+    for (const [featureId, ann] of annotations) {
+        if (ann.models && !('error' in ann)) {
+            const featureIds = featureIdsByModel.get(ann.models);
+            if (featureIds) {
+                featureIds.push(featureId);
+            } else {
+                featureIdsByModel.set(ann.models, [featureId]);
+            }
+        }
+    }
+
+    const issues = [];
+    const addIssue = (featureId, ann, issue, message) => {
+        const details = {
+            featureId: featureId,
+            issue: issue,
+            message: message
+        };
+        for (const key of ['layer', 'label', 'models']) {
+            if (ann[key]) {
+                details[key] = ann[key];
+            }
+        }
+        issues.push(details);
+    };
+    for (const [featureId, ann] of annotations) {
+        // An annotation that couldn't be parsed isn't checked further
+
+        if ('error' in ann) {
+            addIssue(featureId, ann, 'error', ann.text ? `${ann.error} (${ann.text})` : `${ann.error}`);
+            continue;
+        }
+        if (ann.models) {
+            const others = featureIdsByModel.get(ann.models).filter(id => (id !== featureId));
+            if (others.length > 0) {
+                addIssue(featureId, ann, 'duplicate-models', `Also modelled by ${others.join(', ')}`);
+            }
+        } else {
+            addIssue(featureId, ann, 'no-models', 'Doesn\'t model an anatomical term');
+        }
+        if (!ann.label) {
+            addIssue(featureId, ann, 'no-label', 'Has no label');
+        }
+    }
+    return issues.sort((a, b) => (ISSUE_KINDS.indexOf(a.issue) - ISSUE_KINDS.indexOf(b.issue))
+                              || (a.layer || '').localeCompare(b.layer || '')
+                              || a.featureId.localeCompare(b.featureId));
+}
+
+/**
+ * The most serious issue of each feature with issues.
+ *
+ * @param      {Array.<AnnotationIssue>}  issues
+ * @return     {Map.<string, string>}  Kinds of issue by feature identifier
+ */
+export function featureIssues(issues)
+//===================================
+{
+    const kinds = new Map();
+    for (const issue of issues) {
+        const kind = kinds.get(issue.featureId);
+        if (kind === undefined || ISSUE_KINDS.indexOf(issue.issue) < ISSUE_KINDS.indexOf(kind)) {
+            kinds.set(issue.featureId, issue.issue);
+        }
+    }
+    return kinds;
+}
+
+function csvField(value)
+//======================
+{
+    const text = (value === undefined) ? '' : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format annotation issues for saving.
+ *
+ * @param      {Array.<AnnotationIssue>}  issues
+ * @param      {string}  [format=csv]  ``csv``, with a header row, or ``json``
+ * @return     {string}
+ * @throws     {TypeError}  If the format isn't known
+ */
+export function formatAnnotationIssues(issues, format='csv')
+//==========================================================
+{
+    if (format === 'json') {
+        return JSON.stringify(issues, null, 2);
+    } else if (format === 'csv') {
+        const rows = [CSV_COLUMNS.join(',')];
+        for (const issue of issues) {
+            rows.push(CSV_COLUMNS.map(column => csvField(issue[column])).join(','));
+        }
+        return rows.join('\r\n') + '\r\n';
+    }
+    throw new TypeError(`Unknown format: '${format}'`);
+}
+
+//==============================================================================
+
+/**
+ * A panel listing a map's annotation issues. Clicking an issue zooms to
+ * its feature and the issues can be saved as CSV or JSON.
+ */
+export class AnnotationIssuesPanel
+{
+    /**
+     * @param      {FlatMap}  flatmap
+     * @param      {Array.<AnnotationIssue>}  issues
+     * @param      {Object}  [options={}]
+     * @param      {string}  [options.position=top-left]
+     */
+    constructor(flatmap, issues, options={})
+    {
+        this._flatmap = flatmap;
+        this._issues = issues;
+        this._issuesByKind = new Map(ISSUE_KINDS.map(kind => [kind, []]));
+        for (const issue of issues) {
+            this._issuesByKind.get(issue.issue).push(issue);
+        }
+        this._position = options.position || 'top-left';
+        this._map = undefined;
+    }
+
+    getDefaultPosition()
+    //==================
+    {
+        return this._position;
+    }
+
+    onAdd(map)
+    //========
+    {
+        this._map = map;
+        this._container = document.createElement('div');
+        this._container.className = 'mapboxgl-ctrl flatmap-qa-panel';
+
+        this._container.innerHTML = `<div class="flatmap-qa-header">
+    <span class="flatmap-qa-title">Annotation issues (${this._issues.length})</span>
+    <button type="button" id="qa-panel-csv">CSV</button>
+    <button type="button" id="qa-panel-json">JSON</button>
+</div>
+<div class="flatmap-qa-list"></div>`;
+
+        // Issues are grouped by kind, in collapsed sections that list
+        // their issues a page at a time once opened
+
+        const list = this._container.querySelector('.flatmap-qa-list');
+        for (const [kind, issues] of this._issuesByKind.entries()) {
+            if (issues.length > 0) {
+                const group = document.createElement('details');
+                group.className = 'flatmap-qa-group';
+                group.dataset.kind = kind;
+                group.innerHTML = `<summary>${swatch(kind)}${ANNOTATION_ISSUES[kind].description} (${issues.length})</summary><ul></ul>`;
+                group.addEventListener('toggle', this.onToggle_.bind(this));
+                list.appendChild(group);
+            }
+        }
+
+        this._container.addEventListener('click', this.onClick_.bind(this));
+        return this._container;
+    }
+
+    onRemove()
+    //========
+    {
+        this._container.parentNode.removeChild(this._container);
+        this._map = undefined;
+    }
+
+    showMoreIssues_(group)
+    //====================
+    {
+        const issues = this._issuesByKind.get(group.dataset.kind);
+        const list = group.querySelector('ul');
+        const more = list.querySelector('.flatmap-qa-more');
+        if (more !== null) {
+            list.removeChild(more.parentNode);
+        }
+        const start = list.children.length;
+        for (const issue of issues.slice(start, start + ISSUE_PAGE_SIZE)) {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'flatmap-qa-issue';
+            button.setAttribute('type', 'button');
+            button.title = `Zoom to ${issue.featureId}`;
+            button.dataset.featureId = issue.featureId;
+            button.innerHTML = '<span class="flatmap-qa-feature"></span><span class="flatmap-qa-message"></span>';
+            button.querySelector('.flatmap-qa-feature').textContent = issue.label || issue.featureId;
+            button.querySelector('.flatmap-qa-message').textContent = issue.message;
+            item.appendChild(button);
+            list.appendChild(item);
+        }
+        const remaining = issues.length - list.children.length;
+        if (remaining > 0) {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'flatmap-qa-more';
+            button.setAttribute('type', 'button');
+            button.textContent = `Show more (${remaining})`;
+            item.appendChild(button);
+            list.appendChild(item);
+        }
+    }
+
+    onToggle_(event)
+    //==============
+    {
+        const group = event.target;
+        if (group.open && group.querySelector('ul').children.length === 0) {
+            this.showMoreIssues_(group);
+        }
+    }
+
+    exportFile_(format)
+    //=================
+    {
+        downloadFile(`${this._flatmap.id}-annotation-issues.${format}`,
+                     formatAnnotationIssues(this._issues, format),
+                     (format === 'json') ? 'application/json' : 'text/csv');
+    }
+
+    onClick_(event)
+    //=============
+    {
+        const target = event.target;
+        const issueButton = target.closest('.flatmap-qa-issue');
+        if (target.id === 'qa-panel-csv') {
+            this.exportFile_('csv');
+        } else if (target.id === 'qa-panel-json') {
+            this.exportFile_('json');
+        } else if (target.classList.contains('flatmap-qa-more')) {
+            this.showMoreIssues_(target.closest('.flatmap-qa-group'));
+        } else if (issueButton !== null) {
+            this._flatmap.showSearchResults([issueButton.dataset.featureId]);
+        }
+        event.stopPropagation();
+    }
+}
+
+function swatch(kind)
+//===================
+{
+    return `<span class="flatmap-qa-swatch" style="border-color: ${ANNOTATION_ISSUES[kind].colour}"></span>`;
+}
+
+//==============================================================================
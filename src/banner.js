@@ -0,0 +1,84 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+/**
+ * A dismissable banner at the top of a map's container showing the
+ * most recent error.
+ */
+export class ErrorBanner
+{
+    constructor(container)
+    {
+        this._container = (typeof container === 'string') ? document.getElementById(container)
+                                                          : container;
+        this._element = null;
+        this._message = null;
+        this._errorCount = 0;
+    }
+
+    show(error)
+    //=========
+    {
+        if (!this._container) {
+            return;
+        }
+        if (this._element === null) {
+            this._element = document.createElement('div');
+            this._element.className = 'flatmap-error-banner';
+            this._element.setAttribute('role', 'alert');
+
+            this._message = document.createElement('span');
+            this._message.className = 'flatmap-error-message';
+            this._element.appendChild(this._message);
+
+            const button = document.createElement('button');
+            button.className = 'flatmap-error-close';
+            button.title = 'Dismiss';
+            button.setAttribute('type', 'button');
+            button.setAttribute('aria-label', 'Dismiss');
+            button.textContent = '×';
+            button.onclick = this.clear.bind(this);
+            this._element.appendChild(button);
+
+            this._container.appendChild(this._element);
+        }
+        this._errorCount += 1;
+        this._message.textContent = (this._errorCount > 1)
+                                  ? `${error.message} (and ${this._errorCount - 1} earlier errors)`
+                                  : error.message;
+    }
+
+    clear()
+    //=====
+    {
+        if (this._element !== null) {
+            this._element.parentNode.removeChild(this._element);
+            this._element = null;
+            this._message = null;
+        }
+        this._errorCount = 0;
+    }
+}
+
+//==============================================================================
@@ -0,0 +1,322 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+import {unzipSync} from 'fflate';
+
+//==============================================================================
+
+import {BadFormatError} from './errors.js';
+import {normalisePayload} from './formats.js';
+import {MBTilesArchive} from './mbtiles.js';
+import {PMTilesArchive} from './pmtiles.js';
+import {VECTOR_TILES_SOURCE} from './styling.js';
+
+//==============================================================================
+
+// The base URL of a map loaded from a bundle. Resources with relative
+// URLs in the map's style are made absolute against this.
+
+export const BUNDLE_URL = 'flatmap-bundle://';
+
+const TILE_URL_PATH = '/mvtiles/{z}/{x}/{y}';
+const TILE_URL_REGEXP = /\/mvtiles\/(\d+)\/(\d+)\/(\d+)$/;
+
+const IMAGE_URL_REGEXP = /\/images\/([^/]+)\/(\d+)\/(\d+)\/(\d+)$/;
+
+const TILE_ARCHIVE_EXTENSIONS = ['.pmtiles', '.mbtiles'];
+
+//==============================================================================
+
+async function readBuffer(data)
+//=============================
+{
+    if (data instanceof ArrayBuffer) {
+        return data;
+    } else if (ArrayBuffer.isView(data)) {
+        return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+    } else if (data instanceof Blob) {
+        return await new Response(data).arrayBuffer();
+    }
+    throw new BadFormatError('map bundle', '', 'files must be a File, Blob or ArrayBuffer');
+}
+
+function baseName(path)
+//=====================
+{
+    return path.split('/').pop();
+}
+
+function archiveName(fileName)
+//============================
+{
+    // The name of a tile archive, without its extension, or ``null``
+    // if the file isn't a tile archive
+
+    for (const extension of TILE_ARCHIVE_EXTENSIONS) {
+        if (fileName.endsWith(extension)) {
+            return fileName.slice(0, -extension.length);
+        }
+    }
+    return null;
+}
+
+//==============================================================================
+
+/**
+ * The files of a map, as generated for a map server, in a zip archive or
+ * as a collection of files.
+ *
+ * A bundle has files named ``index.json``, ``style.json``, ``pathways.json``,
+ * ``metadata.json`` and ``markers.json`` (the ``.json`` extension is optional),
+ * ``layers.json`` for maps with an index version greater than 1.0, and the
+ * map's vector tiles in a ``.pmtiles`` or ``.mbtiles`` archive. The tiles of
+ * a raster image source in the map's style are in an archive named after the
+ * source, e.g. ``body-image.mbtiles``; sources without an archive are not
+ * shown. Any directory structure is ignored.
+ */
+export class MapBundle
+{
+    constructor(files)
+    {
+        this._files = files;
+    }
+
+    /**
+     * Read a map bundle.
+     *
+     * @param      {File|Blob|ArrayBuffer|FileList|Array.<File>|Object}  bundle
+     *             A zip archive, a list of files (say from a directory chosen with
+     *             ``<input type="file" webkitdirectory>``), or an object with file names
+     *             as keys and ``File``, ``Blob`` or ``ArrayBuffer`` values.
+     * @return     {Promise<MapBundle>}
+     */
+    static async load(bundle)
+    //=======================
+    {
+        const files = new Map();
+        if (bundle instanceof ArrayBuffer || ArrayBuffer.isView(bundle) || bundle instanceof Blob) {
+            const archive = unzipSync(new Uint8Array(await readBuffer(bundle)));
+            for (const [path, bytes] of Object.entries(archive)) {
+                if (!path.endsWith('/') && !path.startsWith('__MACOSX/')) {
+                    files.set(baseName(path), await readBuffer(bytes));
+                }
+            }
+        } else if (bundle !== null && typeof bundle === 'object') {
+            if (typeof bundle.length === 'number') {
+                for (const file of Array.from(bundle)) {
+                    files.set(file.name, await readBuffer(file));
+                }
+            } else {
+                for (const [name, data] of Object.entries(bundle)) {
+                    files.set(baseName(name), await readBuffer(data));
+                }
+            }
+        } else {
+            throw new BadFormatError('map bundle', '', 'should be a zip archive or a list of files');
+        }
+        return new MapBundle(files);
+    }
+
+    /**
+     * Get the normalised contents of one of the bundle's JSON files.
+     *
+     * @param      {string}  name    The file's name, without the ``.json`` extension
+     */
+    json(name)
+    //========
+    {
+        const data = this._files.has(`${name}.json`) ? this._files.get(`${name}.json`)
+                                                     : this._files.get(name);
+        if (data === undefined) {
+            throw new BadFormatError('map bundle', `${name}.json`, 'is missing');
+        }
+        return normalisePayload(name, JSON.parse(new TextDecoder().decode(data)));
+    }
+
+    archive_(fileName)
+    //================
+    {
+        const data = this._files.get(fileName);
+        return fileName.endsWith('.mbtiles') ? new MBTilesArchive(data)
+                                             : new PMTilesArchive(data);
+    }
+
+    rasterSourceIds_()
+    //================
+    {
+        const sources = this.json('style').sources || {};
+        return Object.keys(sources).filter(id => (sources[id].type === 'raster'));
+    }
+
+    /**
+     * The archive with the map's vector tiles.
+     */
+    tileArchive()
+    //===========
+    {
+        const rasterSourceIds = this.rasterSourceIds_();
+        for (const fileName of this._files.keys()) {
+            const name = archiveName(fileName);
+            if (name !== null && rasterSourceIds.indexOf(name) < 0) {
+                return this.archive_(fileName);
+            }
+        }
+        throw new BadFormatError('map bundle', '', 'has no tile archive');
+    }
+
+    /**
+     * The archives with the tiles of the map's raster image sources.
+     *
+     * @return     {Map.<string, Object>}  Archives keyed by source id
+     */
+    imageArchives()
+    //=============
+    {
+        const rasterSourceIds = this.rasterSourceIds_();
+        const archives = new Map();
+        for (const fileName of this._files.keys()) {
+            const name = archiveName(fileName);
+            if (name !== null && rasterSourceIds.indexOf(name) >= 0) {
+                archives.set(name, this.archive_(fileName));
+            }
+        }
+        return archives;
+    }
+
+    /**
+     * Get the map's style, with its tiles served from the bundle's tile
+     * archives.
+     *
+     * Raster sources without an archive are removed, along with their layers.
+     */
+    style(tileArchive, imageArchives=new Map())
+    //=========================================
+    {
+        const style = this.json('style');
+        const sources = style.sources || {};
+        const metadata = tileArchive.metadata();
+        const tileSource = Object.assign({type: 'vector'}, sources[VECTOR_TILES_SOURCE], {
+            tiles: [TILE_URL_PATH],
+            minzoom: tileArchive.minZoom,
+            maxzoom: tileArchive.maxZoom,
+            bounds: tileArchive.bounds
+        });
+        delete tileSource.url;
+        if ('vector_layers' in metadata) {
+            tileSource.vector_layers = metadata.vector_layers;
+        }
+        style.sources = {};
+        style.sources[VECTOR_TILES_SOURCE] = tileSource;
+        for (const [sourceId, archive] of imageArchives.entries()) {
+            const imageSource = Object.assign({}, sources[sourceId], {
+                tiles: [`/images/${encodeURIComponent(sourceId)}/{z}/{x}/{y}`],
+                minzoom: archive.minZoom,
+                maxzoom: archive.maxZoom,
+                bounds: archive.bounds
+            });
+            delete imageSource.url;
+            style.sources[sourceId] = imageSource;
+        }
+        style.layers = (style.layers || []).filter(layer => !('source' in layer)
+                                                          || layer.source in style.sources);
+        return style;
+    }
+}
+
+//==============================================================================
+
+/**
+ * Serve a map's vector and image tiles from a bundle's tile archives.
+ */
+export class BundleResources
+{
+    constructor(tileArchive, imageArchives=new Map())
+    {
+        this._tileArchive = tileArchive;
+        this._imageArchives = imageArchives;
+        this._objectUrls = new Map();
+    }
+
+    /**
+     * Used as Mapbox's ``transformRequest`` option to redirect tile requests
+     * to the archives.
+     */
+    transformRequest(url, resourceType)
+    //=================================
+    {
+        if (resourceType === 'Tile' && url.startsWith(BUNDLE_URL)) {
+            let objectUrl = this._objectUrls.get(url);
+            if (objectUrl === undefined) {
+                objectUrl = this.tileObjectUrl_(url);
+                if (objectUrl !== null) {
+                    this._objectUrls.set(url, objectUrl);
+                }
+            }
+            if (objectUrl !== null) {
+                return { url: objectUrl };
+            }
+        }
+        return { url: url };
+    }
+
+    tileObjectUrl_(url)
+    //=================
+    {
+        let match = url.match(TILE_URL_REGEXP);
+        if (match !== null) {
+            // Missing vector tiles are served as empty ones
+            const tile = this._tileArchive.tile(+match[1], +match[2], +match[3]);
+            return URL.createObjectURL(new Blob((tile !== null) ? [tile] : []));
+        }
+        match = url.match(IMAGE_URL_REGEXP);
+        if (match !== null) {
+            const archive = this._imageArchives.get(decodeURIComponent(match[1]));
+            const tile = (archive !== undefined) ? archive.tile(+match[2], +match[3], +match[4])
+                                                 : null;
+            if (tile !== null) {
+                const format = archive.metadata().format;
+                const options = format ? { type: `image/${(format === 'jpg') ? 'jpeg' : format}` } : {};
+                return URL.createObjectURL(new Blob([tile], options));
+            }
+        }
+        return null;
+    }
+
+    saveResources()
+    //=============
+    {
+        // Nothing to save as everything is already local
+    }
+
+    close()
+    //=====
+    {
+        for (const objectUrl of this._objectUrls.values()) {
+            URL.revokeObjectURL(objectUrl);
+        }
+        this._objectUrls.clear();
+    }
+}
+
+//==============================================================================
@@ -26,7 +26,7 @@ import mapboxgl from 'mapbox-gl';
 
 //==============================================================================
 
-import * as pathways from './pathways.js';
+import {PATH_PALETTES} from './pathways.js';
 
 //==============================================================================
 
@@ -52,11 +52,24 @@ export class NavigationControl
         this._container.className = 'mapboxgl-ctrl navigation-group';
         this._container.innerHTML = `<button id="flatmap-zoom-in" class="navigation-zoom-in" type="button" title="Zoom in" aria-label="Zoom in"></button>
 <button id="flatmap-zoom-out" class="navigation-zoom-out" type="button" title="Zoom out" aria-label="Zoom out"></button>
-<button id="flatmap-reset" class="navigation-reset" type="button" title="Reset" aria-label="Reset"></button>`;
+<button id="flatmap-reset" class="navigation-reset" type="button" title="Reset" aria-label="Reset"></button>
+<button id="flatmap-back" class="navigation-back" type="button" title="Back" aria-label="Back">&#x25C0;</button>
+<button id="flatmap-forward" class="navigation-forward" type="button" title="Forward" aria-label="Forward">&#x25B6;</button>`;
         this._container.onclick = this.onClick_.bind(this);
+        this.updateHistoryButtons();
         return this._container;
     }
 
+    updateHistoryButtons()
+    //====================
+    {
+        if (this._map !== undefined) {
+            const history = this._flatmap.history;
+            this._container.querySelector('#flatmap-back').disabled = !history.canGoBack;
+            this._container.querySelector('#flatmap-forward').disabled = !history.canGoForward;
+        }
+    }
+
     onRemove()
     //========
     {
@@ -73,12 +86,53 @@ export class NavigationControl
             this._flatmap.zoomOut();
         } else if (e.target.id === 'flatmap-reset') {
             this._flatmap.resetMap();
+        } else if (e.target.id === 'flatmap-back') {
+            this._flatmap.back();
+        } else if (e.target.id === 'flatmap-forward') {
+            this._flatmap.forward();
         }
     }
 }
 
 //==============================================================================
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+function nerveLine(pathType, encoding)
+//===================================
+{
+    // Path types can come from the map server so their details are
+    // only set as attribute and property values
+
+    const line = document.createElement('div');
+    line.setAttribute('type', pathType.type);
+    line.className = 'nerve-line';
+    if (encoding === 'dash') {
+        // Dash lengths are in line widths, as they are on the map
+
+        line.classList.add('nerve-line-dashed');
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('width', '100%');
+        svg.setAttribute('height', '3');
+        const svgLine = document.createElementNS(SVG_NS, 'line');
+        svgLine.setAttribute('x1', '0');
+        svgLine.setAttribute('y1', '1.5');
+        svgLine.setAttribute('x2', '100%');
+        svgLine.setAttribute('y2', '1.5');
+        svgLine.setAttribute('stroke', pathType.colour);
+        svgLine.setAttribute('stroke-width', '3');
+        svgLine.setAttribute('stroke-dasharray', (pathType.dasharray !== null) ? pathType.dasharray.map(length => 3*length).join(' ')
+                                                                               : 'none');
+        svg.appendChild(svgLine);
+        line.appendChild(svg);
+    } else {
+        line.style.background = pathType.dashed
+            ? `repeating-linear-gradient(to right,${pathType.colour} 0,${pathType.colour} 6px,transparent 6px,transparent 9px)`
+            : pathType.colour;
+    }
+    return line;
+}
+
 export class NerveKey
 {
     constructor(flatmap)
@@ -104,12 +158,8 @@ export class NerveKey
         this._legend = document.createElement('div');
         this._legend.id = 'nerve-key-text';
         this._legend.className = 'flatmap-nerve-grid';
-
-        const innerHTML = [];
-        for (const path of pathways.PATH_TYPES) {
-            innerHTML.push(`<div type="${path.type}">${path.label}</div><div type="${path.type}" class="nerve-line nerve-${path.type}"></div>`);
-        }
-        this._legend.innerHTML = innerHTML.join('\n');
+        this._legend.addEventListener('change', this.onChange_.bind(this));
+        this.update();
 
         this._button = document.createElement('button');
         this._button.id = 'nerve-key-button';
@@ -132,6 +182,68 @@ export class NerveKey
         this._map = undefined;
     }
 
+    /**
+     * Show path types with their current colours and encoding, and controls
+     * to change these.
+     */
+    update()
+    //======
+    {
+        if (this._map === undefined) {
+            return;
+        }
+        const encoding = this._flatmap.pathEncoding;
+        const palette = this._flatmap.pathPalette;
+        const palettes = ['default'].concat(Object.keys(PATH_PALETTES));
+        if (palettes.indexOf(palette) < 0) {
+            palettes.push(palette);
+        }
+        this._legend.textContent = '';
+        for (const path of this._flatmap.pathTypes()) {
+            const label = document.createElement('div');
+            label.setAttribute('type', path.type);
+            label.textContent = path.label;
+            this._legend.appendChild(label);
+            this._legend.appendChild(nerveLine(path, encoding));
+        }
+
+        const options = document.createElement('div');
+        options.className = 'flatmap-nerve-key-options';
+        const paletteLabel = document.createElement('label');
+        paletteLabel.appendChild(document.createTextNode('Colours '));
+        const paletteSelect = document.createElement('select');
+        paletteSelect.id = 'nerve-key-palette';
+        for (const name of palettes) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = (name === palette);
+            paletteSelect.appendChild(option);
+        }
+        paletteLabel.appendChild(paletteSelect);
+        options.appendChild(paletteLabel);
+        const dashesLabel = document.createElement('label');
+        const dashes = document.createElement('input');
+        dashes.type = 'checkbox';
+        dashes.id = 'nerve-key-dashes';
+        dashes.checked = (encoding === 'dash');
+        dashesLabel.appendChild(dashes);
+        dashesLabel.appendChild(document.createTextNode(' Dashes'));
+        options.appendChild(dashesLabel);
+        this._legend.appendChild(options);
+    }
+
+    onChange_(event)
+    //==============
+    {
+        const target = event.target;
+        if (target.id === 'nerve-key-palette' && target.value !== 'custom') {
+            this._flatmap.setPathPalette(target.value);
+        } else if (target.id === 'nerve-key-dashes') {
+            this._flatmap.setPathEncoding(target.checked ? 'dash' : 'colour');
+        }
+    }
+
     onClick_(event)
     //=============
     {
@@ -144,7 +256,7 @@ export class NerveKey
                 this._legend = this._container.removeChild(this._legend);
                 this._button.setAttribute('legend-visible', 'false');
             }
-        } else {
+        } else if (event.target.closest('.flatmap-nerve-key-options') === null) {
             const pathType = event.target.getAttribute('type');
             if (pathType) {
                 this._flatmap.showPaths(pathType);
@@ -198,3 +310,287 @@ export class PathControl
 }
 
 //==============================================================================
+
+/**
+ * A control listing the map's layers, with a checkbox to show or hide each
+ * layer, a slider to set its opacity, and a radio button to make it the only
+ * active layer.
+ */
+export class LayerSwitcherControl
+{
+    constructor(flatmap, layerManager)
+    {
+        this._flatmap = flatmap;
+        this._layerManager = layerManager;
+        this._map = undefined;
+
+        // Keep the radio buttons of each map's switcher in their own group
+
+        this._activeRadioName = `layer-switcher-active-${flatmap.uniqueId}`;
+    }
+
+    getDefaultPosition()
+    //==================
+    {
+        return 'top-right';
+    }
+
+    onAdd(map)
+    //========
+    {
+        this._map = map;
+        this._container = document.createElement('div');
+        this._container.className = 'mapboxgl-ctrl';
+        this._container.id = 'flatmap-layer-switcher';
+
+        this._button = document.createElement('button');
+        this._button.id = 'layer-switcher-button';
+        this._button.className = 'control-button';
+        this._button.title = 'Layers';
+        this._button.setAttribute('type', 'button');
+        this._button.setAttribute('aria-label', 'Layers');
+        this._button.textContent = 'LYR';
+        this._container.appendChild(this._button);
+
+        this._panel = document.createElement('div');
+        this._panel.className = 'flatmap-layer-switcher';
+
+        this._container.addEventListener('click', this.onClick_.bind(this));
+        this._container.addEventListener('change', this.onChange_.bind(this));
+        this._container.addEventListener('input', this.onInput_.bind(this));
+        this.update();
+        return this._container;
+    }
+
+    onRemove()
+    //========
+    {
+        this._container.parentNode.removeChild(this._container);
+        this._map = undefined;
+    }
+
+    update()
+    //======
+    {
+        if (this._map === undefined) {
+            return;
+        }
+        // Layer details come from the map server so are only
+        // added as text and attribute values
+
+        const layers = this._layerManager.layerDetails();
+        const allActive = layers.every(layer => layer.active);
+        this._panel.textContent = '';
+
+        const all = document.createElement('div');
+        all.className = 'flatmap-layer-switcher-all';
+        const allLabel = document.createElement('label');
+        allLabel.appendChild(this.activeRadio_('', allActive));
+        allLabel.appendChild(document.createTextNode(' All layers active'));
+        all.appendChild(allLabel);
+        this._panel.appendChild(all);
+
+        for (const layer of layers) {
+            const row = document.createElement('div');
+            row.className = 'flatmap-layer-switcher-layer';
+            row.dataset.layer = layer.id;
+
+            const visible = document.createElement('input');
+            visible.type = 'checkbox';
+            visible.className = 'layer-switcher-visible';
+            visible.title = 'Show layer';
+            visible.checked = layer.visible;
+            row.appendChild(visible);
+
+            const description = document.createElement('span');
+            description.className = 'layer-switcher-description';
+            description.textContent = layer.description;
+            row.appendChild(description);
+
+            const opacity = document.createElement('input');
+            opacity.type = 'range';
+            opacity.className = 'layer-switcher-opacity';
+            opacity.title = 'Opacity';
+            opacity.min = '0';
+            opacity.max = '100';
+            opacity.value = `${Math.round(100*layer.opacity)}`;
+            row.appendChild(opacity);
+
+            const active = this.activeRadio_(layer.id, !allActive && layer.active);
+            active.title = 'Active layer';
+            row.appendChild(active);
+
+            this._panel.appendChild(row);
+        }
+    }
+
+    activeRadio_(value, checked)
+    //==========================
+    {
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = this._activeRadioName;
+        radio.value = value;
+        radio.checked = checked;
+        return radio;
+    }
+
+    layerId_(element)
+    //===============
+    {
+        const row = element.closest('.flatmap-layer-switcher-layer');
+        return (row !== null) ? this._flatmap.mapLayerId(row.dataset.layer) : null;
+    }
+
+    onClick_(event)
+    //=============
+    {
+        if (event.target.id === 'layer-switcher-button') {
+            if (this._panel.parentNode === null) {
+                this.update();
+                this._container.appendChild(this._panel);
+            } else {
+                this._container.removeChild(this._panel);
+            }
+        }
+        event.stopPropagation();
+    }
+
+    onChange_(event)
+    //==============
+    {
+        const target = event.target;
+        if (target.classList.contains('layer-switcher-visible')) {
+            this._layerManager.setVisibility(this.layerId_(target), target.checked);
+        } else if (target.name === this._activeRadioName) {
+            // Either activate all layers, keeping their order, or just
+            // the chosen one
+
+            for (const layer of this._layerManager.layerDetails()) {
+                if (target.value === '') {
+                    this._flatmap.activateLayer(layer.id, false);
+                } else if (target.value === layer.id) {
+                    this._flatmap.activateLayer(layer.id);
+                } else {
+                    this._flatmap.deactivateLayer(layer.id);
+                }
+            }
+        }
+    }
+
+    onInput_(event)
+    //=============
+    {
+        const target = event.target;
+        if (target.classList.contains('layer-switcher-opacity')) {
+            this._layerManager.setOpacity(this.layerId_(target), target.value/100);
+        }
+    }
+}
+
+//==============================================================================
+
+/**
+ * A control to show, fade and swipe the map's source images.
+ */
+export class ImageControl
+{
+    constructor(flatmap)
+    {
+        this._flatmap = flatmap;
+        this._map = undefined;
+    }
+
+    getDefaultPosition()
+    //==================
+    {
+        return 'top-right';
+    }
+
+    onAdd(map)
+    //========
+    {
+        this._map = map;
+        this._container = document.createElement('div');
+        this._container.className = 'mapboxgl-ctrl';
+        this._container.id = 'flatmap-image-control';
+
+        this._button = document.createElement('button');
+        this._button.id = 'image-control-button';
+        this._button.className = 'control-button';
+        this._button.title = 'Source image';
+        this._button.setAttribute('type', 'button');
+        this._button.setAttribute('aria-label', 'Source image');
+        this._button.textContent = 'IMG';
+        this._container.appendChild(this._button);
+
+        this._panel = document.createElement('div');
+        this._panel.className = 'flatmap-image-control';
+        this._panel.innerHTML = `<label><input type="checkbox" id="image-control-visible"/> Show image</label>
+<label>Opacity <input type="range" id="image-control-opacity" min="0" max="100"/></label>
+<label><input type="checkbox" id="image-control-swipe"/> Swipe</label>`;
+        this._visible = this._panel.querySelector('#image-control-visible');
+        this._opacity = this._panel.querySelector('#image-control-opacity');
+        this._swipe = this._panel.querySelector('#image-control-swipe');
+
+        this._container.addEventListener('click', this.onClick_.bind(this));
+        this._container.addEventListener('change', this.onChange_.bind(this));
+        this._container.addEventListener('input', this.onInput_.bind(this));
+        this.update();
+        return this._container;
+    }
+
+    onRemove()
+    //========
+    {
+        this._container.parentNode.removeChild(this._container);
+        this._map = undefined;
+    }
+
+    update()
+    //======
+    {
+        const details = this._flatmap.imageLayerDetails;
+        if (this._map === undefined || details === null) {
+            return;
+        }
+        this._visible.checked = details.visible;
+        this._opacity.value = Math.round(100*details.opacity);
+        this._swipe.checked = details.swipe;
+    }
+
+    onClick_(event)
+    //=============
+    {
+        if (event.target.id === 'image-control-button') {
+            if (this._panel.parentNode === null) {
+                this.update();
+                this._container.appendChild(this._panel);
+            } else {
+                this._container.removeChild(this._panel);
+            }
+        }
+        event.stopPropagation();
+    }
+
+    onChange_(event)
+    //==============
+    {
+        const target = event.target;
+        if (target.id === 'image-control-visible') {
+            this._flatmap.showImageLayers(target.checked);
+        } else if (target.id === 'image-control-swipe') {
+            this._flatmap.enableImageSwipe(target.checked);
+        }
+    }
+
+    onInput_(event)
+    //=============
+    {
+        if (event.target.id === 'image-control-opacity') {
+            this._flatmap.setImageLayerOpacity(event.target.value/100);
+        }
+    }
+}
+
+//==============================================================================
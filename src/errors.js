@@ -0,0 +1,141 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+// Error names are set explicitly as class names don't survive minification
+
+//==============================================================================
+
+/**
+ * The base class of errors raised by the viewer.
+ */
+export class FlatmapError extends Error
+{
+    constructor(message)
+    {
+        super(message);
+        this.name = 'FlatmapError';
+    }
+}
+
+//==============================================================================
+
+/**
+ * The map server can't be reached or didn't respond successfully.
+ */
+export class NetworkError extends FlatmapError
+{
+    constructor(url, status=null, cause=null)
+    {
+        super((status === null) ? `Cannot access ${url}`
+                                : `Cannot access ${url} (HTTP status ${status})`);
+        this.name = 'NetworkError';
+        this.url = url;
+        this.status = status;
+        this.cause = cause;
+    }
+}
+
+//==============================================================================
+
+/**
+ * The map server doesn't have a requested resource.
+ */
+export class NotFoundError extends FlatmapError
+{
+    constructor(url)
+    {
+        super(`Cannot find ${url}`);
+        this.name = 'NotFoundError';
+        this.url = url;
+    }
+}
+
+//==============================================================================
+
+/**
+ * A payload from the map server doesn't have the expected format.
+ *
+ * The ``endpoint`` and ``field`` properties of the error identify where
+ * the problem is.
+ */
+export class BadFormatError extends FlatmapError
+{
+    constructor(endpoint, field, message)
+    {
+        super(field ? `Invalid ${endpoint}: '${field}' ${message}`
+                    : `Invalid ${endpoint}: ${message}`);
+        this.name = 'BadFormatError';
+        this.endpoint = endpoint;
+        this.field = field;
+    }
+}
+
+//==============================================================================
+
+/**
+ * The map server's catalogue has no map matching an identifier.
+ */
+export class UnknownMapError extends FlatmapError
+{
+    constructor(identifier)
+    {
+        super(`Unknown map for ${JSON.stringify(identifier)}`);
+        this.name = 'UnknownMapError';
+        this.identifier = identifier;
+    }
+}
+
+//==============================================================================
+
+/**
+ * Map tiles could not be loaded.
+ */
+export class TileError extends FlatmapError
+{
+    constructor(sourceId, cause=null)
+    {
+        super((cause && cause.message) ? `Cannot load tiles for '${sourceId}': ${cause.message}`
+                                       : `Cannot load tiles for '${sourceId}'`);
+        this.name = 'TileError';
+        this.sourceId = sourceId;
+        this.cause = cause;
+    }
+}
+
+//==============================================================================
+
+/**
+ * A map's features were used before the map had finished loading.
+ */
+export class MapNotReadyError extends FlatmapError
+{
+    constructor(operation)
+    {
+        super(`Cannot ${operation} before the map is ready`);
+        this.name = 'MapNotReadyError';
+        this.operation = operation;
+    }
+}
+
+//==============================================================================
@@ -0,0 +1,286 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+/**
+ * Palettes for colouring features by data, by name. Values are coloured
+ * by interpolating between a palette's colours, lowest first.
+ *
+ * @type {Object.<string, Array.<string>>}
+ */
+export const DATA_PALETTES = Object.freeze({
+    'viridis': ['#440154', '#482878', '#3E4A89', '#31688E', '#26828E',
+                '#1F9E89', '#35B779', '#6DCD59', '#B4DE2C', '#FDE725'],
+    'magma': ['#000004', '#1C1044', '#4F127B', '#812581', '#B5367A',
+              '#E55064', '#FB8761', '#FEC287', '#FCFDBF'],
+    'blues': ['#F7FBFF', '#DEEBF7', '#C6DBEF', '#9ECAE1', '#6BAED6',
+              '#4292C6', '#2171B5', '#08519C', '#08306B'],
+    'greens': ['#F7FCF5', '#E5F5E0', '#C7E9C0', '#A1D99B', '#74C476',
+               '#41AB5D', '#238B45', '#006D2C', '#00441B'],
+    'reds': ['#FFF5F0', '#FEE0D2', '#FCBBA1', '#FC9272', '#FB6A4A',
+             '#EF3B2C', '#CB181D', '#A50F15', '#67000D'],
+    'red-blue': ['#B2182B', '#D6604D', '#F4A582', '#FDDBC7', '#F7F7F7',
+                 '#D1E5F0', '#92C5DE', '#4393C3', '#2166AC']
+});
+
+// How values are mapped to a palette:
+//
+// * ``linear`` -- in proportion to their position in the domain.
+// * ``log`` -- by their logarithm, for values spread over orders of magnitude.
+//   Values that aren't positive are not coloured.
+// * ``quantize`` -- into equal width classes, one for each colour of the palette.
+
+export const DATA_SCALES = ['linear', 'log', 'quantize'];
+
+//==============================================================================
+
+function parseColour(colour)
+//==========================
+{
+    const hex = colour.replace('#', '');
+    const digits = (hex.length === 3) ? hex.split('').map(digit => digit + digit)
+                                      : [hex.slice(0, 2), hex.slice(2, 4), hex.slice(4, 6)];
+    return digits.map(digit => parseInt(digit, 16));
+}
+
+function formatColour(rgb)
+//========================
+{
+    return '#' + rgb.map(value => Math.round(value).toString(16).padStart(2, '0')).join('');
+}
+
+function formatValue(value)
+//=========================
+{
+    return Number(value.toPrecision(3)).toString();
+}
+
+//==============================================================================
+
+/**
+ * Colours for numeric values.
+ */
+export class ColourScale
+{
+    /**
+     * @param      {Array.<number>}  values  The values to be coloured, used
+     *                                       when no ``domain`` is given
+     * @param      {Object}  [options={}]
+     * @param      {string}  [options.scale=linear]  One of ``linear``, ``log`` or ``quantize``
+     * @param      {Array.<number>}  [options.domain]  The lowest and highest values,
+     *                                                 defaulting to the extent of ``values``.
+     *                                                 Both must be positive for a ``log`` scale.
+     * @throws     {TypeError}  If the scale or palette is unknown, the palette has colours
+     *                          that aren't ``#RRGGBB``, or a ``log`` scale's domain isn't
+     *                          positive
+     * @param      {string|Array.<string>}  [options.palette=viridis]  The name of one of
+     *                                                  :attr:`DATA_PALETTES` or a list
+     *                                                  of ``#RRGGBB`` colours
+     */
+    constructor(values, options={})
+    {
+        this._scale = options.scale || 'linear';
+        if (DATA_SCALES.indexOf(this._scale) < 0) {
+            throw new TypeError(`Unknown data scale: '${this._scale}'`);
+        }
+        const palette = options.palette || 'viridis';
+        if (Array.isArray(palette)) {
+            if (palette.length === 0) {
+                throw new TypeError('A data palette needs at least one colour');
+            }
+            for (const colour of palette) {
+                if (typeof colour !== 'string' || !/^#[0-9A-Fa-f]{6}$/.test(colour)) {
+                    throw new TypeError(`Data palette colours must be #RRGGBB, not '${colour}'`);
+                }
+            }
+            this._palette = palette.slice();
+        } else if (palette in DATA_PALETTES) {
+            this._palette = DATA_PALETTES[palette].slice();
+        } else {
+            throw new TypeError(`Unknown data palette: '${palette}'`);
+        }
+        this._rgb = this._palette.map(parseColour);
+
+        if (options.domain) {
+            this._domain = [options.domain[0], options.domain[1]];
+            if (this._scale === 'log' && !(this._domain[0] > 0 && this._domain[1] > 0)) {
+                throw new TypeError(`A log scale's domain must be positive, not [${this._domain}]`);
+            }
+        } else {
+            const scaled = values.filter(value => this.scalable_(value));
+            this._domain = (scaled.length > 0)
+                ? scaled.reduce((domain, value) => [Math.min(domain[0], value), Math.max(domain[1], value)],
+                                [Infinity, -Infinity])
+                : (this._scale === 'log') ? [1, 10] : [0, 1];
+        }
+    }
+
+    get domain()
+    //==========
+    {
+        return this._domain.slice();
+    }
+
+    get palette()
+    //===========
+    {
+        return this._palette.slice();
+    }
+
+    get scale()
+    //=========
+    {
+        return this._scale;
+    }
+
+    scalable_(value)
+    //==============
+    {
+        return (typeof value === 'number') && Number.isFinite(value)
+            && (this._scale !== 'log' || value > 0);
+    }
+
+    position_(value)
+    //==============
+    {
+        // Where a value is in the domain, from 0 to 1
+
+        const transform = (this._scale === 'log') ? Math.log : (x => x);
+        const lower = transform(this._domain[0]);
+        const upper = transform(this._domain[1]);
+        if (upper === lower) {
+            return 0.5;
+        }
+        return Math.max(0, Math.min((transform(value) - lower)/(upper - lower), 1));
+    }
+
+    /**
+     * The colour of a value.
+     *
+     * @param      {number}  value
+     * @return     {string|null}  A ``#RRGGBB`` colour, or ``null`` if the value
+     *                            can't be coloured
+     */
+    colour(value)
+    //===========
+    {
+        if (!this.scalable_(value)) {
+            return null;
+        }
+        const position = this.position_(value);
+        const last = this._rgb.length - 1;
+        if (this._scale === 'quantize') {
+            return formatColour(this._rgb[Math.min(Math.floor(position*(last + 1)), last)]);
+        }
+        const index = Math.min(Math.floor(position*last), Math.max(last - 1, 0));
+        const fraction = position*last - index;
+        const lower = this._rgb[index];
+        const upper = this._rgb[Math.min(index + 1, last)];
+        return formatColour(lower.map((value, n) => value + fraction*(upper[n] - value)));
+    }
+
+    /**
+     * A CSS gradient showing the scale's colours, lowest on the left.
+     *
+     * @return     {string}
+     */
+    cssGradient()
+    //===========
+    {
+        const count = this._palette.length;
+        const stops = [];
+        if (this._scale === 'quantize') {
+            this._palette.forEach((colour, n) => {
+                stops.push(`${colour} ${100*n/count}%`, `${colour} ${100*(n + 1)/count}%`);
+            });
+        } else if (count === 1) {
+            stops.push(this._palette[0], this._palette[0]);
+        } else {
+            this._palette.forEach((colour, n) => {
+                stops.push(`${colour} ${100*n/(count - 1)}%`);
+            });
+        }
+        return `linear-gradient(to right, ${stops.join(', ')})`;
+    }
+}
+
+//==============================================================================
+
+/**
+ * A legend for features coloured by data.
+ */
+export class FeatureDataLegend
+{
+    /**
+     * @param      {ColourScale}  colourScale
+     * @param      {Object}  [options={}]
+     * @param      {string}  [options.title]  Shown above the legend
+     * @param      {string}  [options.position=bottom-left]
+     */
+    constructor(colourScale, options={})
+    {
+        this._colourScale = colourScale;
+        this._title = options.title || '';
+        this._position = options.position || 'bottom-left';
+        this._map = undefined;
+    }
+
+    getDefaultPosition()
+    //==================
+    {
+        return this._position;
+    }
+
+    onAdd(map)
+    //========
+    {
+        this._map = map;
+        this._container = document.createElement('div');
+        this._container.className = 'mapboxgl-ctrl flatmap-data-legend';
+        const domain = this._colourScale.domain;
+        const title = document.createElement('div');
+        title.className = 'flatmap-data-legend-title';
+        title.textContent = this._title;
+        const bar = document.createElement('div');
+        bar.className = 'flatmap-data-legend-bar';
+        bar.style.background = this._colourScale.cssGradient();
+        const labels = document.createElement('div');
+        labels.className = 'flatmap-data-legend-labels';
+        labels.innerHTML = `<span>${formatValue(domain[0])}</span><span>${formatValue(domain[1])}</span>`;
+        if (this._title !== '') {
+            this._container.appendChild(title);
+        }
+        this._container.appendChild(bar);
+        this._container.appendChild(labels);
+        return this._container;
+    }
+
+    onRemove()
+    //========
+    {
+        this._container.parentNode.removeChild(this._container);
+        this._map = undefined;
+    }
+}
+
+//==============================================================================
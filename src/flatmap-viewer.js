@@ -33,11 +33,25 @@ import '../static/flatmap-viewer.css';
 
 //==============================================================================
 
+import {AnnotationIssuesPanel, featureIssues, findAnnotationIssues,
+        formatAnnotationIssues} from './annotationqa.js';
+import {BUNDLE_URL, BundleResources, MapBundle} from './bundle.js';
+import {BadFormatError, MapNotReadyError, TileError, UnknownMapError} from './errors.js';
+import {ErrorBanner} from './banner.js';
+import {ColourScale, FeatureDataLegend} from './featuredata.js';
+import {normalisePayload} from './formats.js';
+import {MapCache} from './mapcache.js';
 import {MapServer} from './mapserver.js';
 import {MinimapControl} from './minimap.js';
-import {NavigationControl} from './controls.js';
+import {ImageControl, NavigationControl} from './controls.js';
 import {SearchIndex} from './search.js';
+import {resolveTheme} from './themes.js';
+import {ImageSwipe} from './swipe.js';
 import {UserInteractions} from './interactions.js';
+import {LABEL_MODES, OVERLAY_POSITIONS} from './layers.js';
+import {decodeUrlState, UrlState} from './urlstate.js';
+import {ViewHistory} from './history.js';
+import {SavedViews, SavedViewsControl} from './views.js';
 
 import * as images from './images.js';
 import * as pathways from './pathways.js';
@@ -45,6 +59,85 @@ import * as utils from './utils.js';
 
 //==============================================================================
 
+export {BadFormatError, FlatmapError, MapNotReadyError, NetworkError, NotFoundError,
+        TileError, UnknownMapError} from './errors.js';
+export {THEMES} from './themes.js';
+export {PATH_PALETTES} from './pathways.js';
+export {DATA_PALETTES} from './featuredata.js';
+export {ANNOTATION_ISSUES} from './annotationqa.js';
+export {LABEL_MODES, OVERLAY_POSITIONS} from './layers.js';
+
+//==============================================================================
+
+/**
+ * The events raised by a map, for use with :meth:`FlatMap.on`.
+ *
+ * * ``click`` -- a feature or marker has been clicked. Details are a
+ *   :js:data:`FeatureEventDetails` or :js:data:`MarkerEventDetails`.
+ * * ``dblclick`` -- a feature has been double clicked. Details are a
+ *   :js:data:`FeatureEventDetails`.
+ * * ``contextmenu`` -- a feature has been right clicked, or touched for longer
+ *   than half a second. Details are a :js:data:`FeatureEventDetails`.
+ * * ``mouseenter`` -- the mouse has moved over a feature or marker. Details are
+ *   a :js:data:`FeatureEventDetails` or :js:data:`MarkerEventDetails`.
+ * * ``mouseleave`` -- the mouse has moved off a feature. Details are a
+ *   :js:data:`FeatureEventDetails`.
+ * * ``query-data`` -- data about a feature's model has been requested from
+ *   its context menu. Details are the anatomical identifier of the model,
+ *   followed by an object with the ``describes`` identifier of the map.
+ * * ``selection-changed`` -- features have been selected or unselected. Details
+ *   are a :js:data:`SelectionEventDetails`.
+ * * ``error`` -- something has gone wrong. Details are an :js:data:`ErrorEventDetails`.
+ *
+ * @type {Array.<string>}
+ */
+export const EVENT_TYPES = Object.freeze([
+    'click',
+    'contextmenu',
+    'dblclick',
+    'error',
+    'mouseenter',
+    'mouseleave',
+    'query-data',
+    'selection-changed'
+]);
+
+/**
+ * @typedef {Object} FeatureEventDetails
+ * @property {string} type  ``feature``
+ * @property {string} id  The feature's identifier
+ * @property {string} [label]  The feature's label
+ * @property {string} [layer]  The identifier of the map layer containing the feature
+ * @property {string} [models]  The anatomical identifier of the feature
+ * @property {Array} [datasets]  Datasets annotated as being about the feature
+ * @property {Array} [scaffolds]  Scaffolds annotated as being about the feature
+ * @property {Array} [simulations]  Simulations annotated as being about the feature
+ * @property {Array.<number>} [lngLat]  The ``[longitude, latitude]`` of the mouse
+ *                                      or touch that caused the event
+ */
+
+/**
+ * @typedef {Object} MarkerEventDetails
+ * @property {string} type  ``marker``
+ * @property {integer} id  The marker's identifier, as returned by :meth:`FlatMap.addMarker`
+ * @property {string} models  The anatomical identifier of the feature the marker is on
+ */
+
+/**
+ * @typedef {Object} SelectionEventDetails
+ * @property {string} type  ``selection``
+ * @property {Array.<string>} selected  The identifiers of the selected features,
+ *                                      in the order they were selected
+ */
+
+/**
+ * @typedef {Object} ErrorEventDetails
+ * @property {string} type  ``error``
+ * @property {FlatmapError} error  The error
+ */
+
+//==============================================================================
+
 /**
 * Maps are not created directly but instead are created and loaded by
 * :meth:`LoadMap` of :class:`MapManager`.
@@ -61,11 +154,38 @@ export class FlatMap
         this._describes = mapDescription.describes;
         this._mapNumber = mapDescription.number;
         this._callback = mapDescription.callback;
+        this._listeners = new Map();
         this._layers = mapDescription.layers;
         this._markers = mapDescription.markers;
         this._options = mapDescription.options;
+        this._theme = resolveTheme(this._options.theme);
+        this._labelMode = checkLabelMode(this._options.labelMode || 'both');
         this._pathways = mapDescription.pathways;
+        this._pathTypes = new pathways.PathTypes(pathways.PATH_TYPES,
+                                                 this._pathways['path-types'],
+                                                 ('pathTypes' in this._options)
+                                                    ? normalisePayload('path-types', this._options.pathTypes)
+                                                    : []);
+        if ('pathPalette' in this._options) {
+            this._pathTypes.setPalette(this._options.pathPalette);
+        }
+        if ('pathEncoding' in this._options) {
+            this._pathTypes.setEncoding(this._options.pathEncoding);
+        }
+        this._resources = mapDescription.resources || null;
         this._resolve = resolve;
+        this._container = container;
+        this._history = new ViewHistory();
+        this._restoringHistory = false;
+        this._navigationControl = null;
+        this._savedViews = new SavedViews();
+        this._viewsControl = null;
+        this._imageControl = null;
+        this._imageSwipe = null;
+        this._featureDataLegend = null;
+        this._annotationIssuesPanel = null;
+        this._overlaySources = new Set();
+        this._errorBanner = null;
         this._map = null;
 
         if (this.options.searchable) {
@@ -85,12 +205,12 @@ export class FlatMap
 
         for (const [id, source] of Object.entries(mapDescription.style.sources)) {
             if (source.url) {
-                source.url = this.addBaseUrl_(source.url);
+                source.url = this.addBaseUrl_(source.url, `sources.${id}.url`);
             }
             if (source.tiles) {
                 const tiles = [];
                 for (const tileUrl of source.tiles) {
-                    tiles.push(this.addBaseUrl_(tileUrl));
+                    tiles.push(this.addBaseUrl_(tileUrl, `sources.${id}.tiles`));
                 }
                 source.tiles = tiles;
             }
@@ -129,9 +249,17 @@ export class FlatMap
             mapboxOptions.minZoom = mapDescription.options.minZoom;
         }
 
-        // Only show location in address bar when debugging
+        // Serve tiles from the map cache if we have one
+
+        if (this._resources !== null) {
+            mapboxOptions.transformRequest = this._resources.transformRequest.bind(this._resources);
+        }
+
+        // Only show location in address bar when debugging and
+        // we aren't keeping the URL in step with the map's view
 
-        mapboxOptions.hash = (mapDescription.options.debug === true);
+        mapboxOptions.hash = (mapDescription.options.debug === true
+                           && !mapDescription.options.urlState);
 
         // Create the map
 
@@ -165,26 +293,59 @@ export class FlatMap
             const position = ((typeof value === 'string')
                            && (['top-left', 'top-right', 'bottom-right', 'bottom-left'].indexOf(value) >= 0))
                            ? value : 'bottom-right';
-            this._map.addControl(new NavigationControl(this), position);
+            this._navigationControl = new NavigationControl(this);
+            this._map.addControl(this._navigationControl, position);
+        }
+
+        // Add a control to manage saved views if option set
+
+        if (mapDescription.options.viewsControl) {
+            this._viewsControl = new SavedViewsControl(this);
+            this._map.addControl(this._viewsControl);
         }
 
+        // Report errors, such as tiles that fail to load
+
+        this._map.on('error', (event) => {
+            this.errorEvent(('sourceId' in event) ? new TileError(event.sourceId, event.error)
+                                                  : event.error);
+        });
+
         // Finish initialisation when all sources have loaded
         // and map has rendered
 
         this._userInteractions = null;
         this._initialState = null;
         this._minimap = null;
+        this._urlState = null;
+        this._stateChangedTimer = null;
+
+        this._map.on('moveend', () => this.stateChanged_());
 
         this._map.on('idle', () => {
+            if (this._resources !== null) {
+                this._resources.saveResources().catch(error => {
+                    console.warn(`Map cache unavailable: ${error}`);
+                });
+            }
             if (this._userInteractions === null) {
                 this.setupUserInteractions_();
             } else if (this._initialState === null) {
                 this._bounds = this._map.getBounds();
 
                 if ('state' in this._options) {
-                    this._userInteractions.setState(this._options.state);
+                    this.setState(this._options.state);
                 }
                 this._initialState = this.getState();
+                this.recordHistory_();
+
+                // Show the map's view in the browser's URL if option set. A map
+                // from a bundle can't be reopened from a URL so isn't shown
+
+                if (this.options.urlState && this._baseUrl !== BUNDLE_URL) {
+                    this._urlState = new UrlState(this, this.options.urlState);
+                    this._urlState.update();
+                }
 
                 // Add a minimap if option set
 
@@ -193,6 +354,19 @@ export class FlatMap
                         this._map.addControl(this._minimap);
                     }
 
+                // Add a control for the map's source images if option set
+
+                if (this.options.imageControl && this.imageLayerDetails !== null) {
+                    this._imageControl = new ImageControl(this);
+                    this._map.addControl(this._imageControl);
+                }
+
+                // Start checking annotations if option set
+
+                if (this.options.annotationQA) {
+                    this.showAnnotationIssues();
+                }
+
                 this._resolve(this);
             }
         });
@@ -207,6 +381,12 @@ export class FlatMap
             await this.addImage(image.id, image.url, '', image.options);
         }
 
+        // The map may have been closed while images were loading
+
+        if (this._map === null) {
+            return;
+        }
+
         // Layers have now loaded so finish setting up
 
         this._userInteractions = new UserInteractions(this);
@@ -230,7 +410,11 @@ export class FlatMap
     //========
     {
         if (this._initialState !== null) {
-            this.setState(this._initialState);
+            // Markers are left in place
+
+            const state = Object.assign({}, this._initialState);
+            delete state.markers;
+            this.setState(state);
         }
         if (this._userInteractions !== null) {
             this._userInteractions.reset();
@@ -270,30 +454,135 @@ export class FlatMap
     }
 
     /**
-     * @returns {Array.<{type: string, label: string, colour: string}>} an array of objects giving path types
-     *                                                                  with their descriptions and colours
+     * The map's path types. These are the viewer's own types with any given by
+     * the map server and the ``pathTypes`` option of :meth:`MapManager.loadMap`.
+     *
+     * @returns {Array.<{type: string, label: string, colour: string, dashed: boolean}>} an array of
+     *          objects giving path types with their descriptions, colours, and whether their paths
+     *          are drawn dashed
      */
     pathTypes()
     //=========
     {
-        return pathways.PATH_TYPES;
+        return this._pathTypes.types;
+    }
+
+    get pathTypeRegistry()
+    //====================
+    {
+        return this._pathTypes;
+    }
+
+    /**
+     * The name of the palette colouring paths: ``default``, the name of one
+     * of :attr:`PATH_PALETTES`, or ``custom``.
+     *
+     * @type string
+     */
+    get pathPalette()
+    //===============
+    {
+        return this._pathTypes.palette;
+    }
+
+    /**
+     * Colour paths with a different palette, in the map and its legend.
+     *
+     * @param      {string|Object.<string, string>}  palette  ``default`` for the path types'
+     *                                                        own colours, the name of one of
+     *                                                        :attr:`PATH_PALETTES` (``deuteranopia``,
+     *                                                        ``protanopia`` or ``greyscale``), or
+     *                                                        colours keyed by path type
+     * @throws     {TypeError}  If the named palette isn't known
+     */
+    setPathPalette(palette)
+    //=====================
+    {
+        this._pathTypes.setPalette(palette);
+        if (this._userInteractions !== null) {
+            this._userInteractions.pathStylesChanged();
+        }
+    }
+
+    /**
+     * How paths are told apart: ``colour``, or ``dash`` when each path type
+     * also has its own dash pattern.
+     *
+     * @type string
+     */
+    get pathEncoding()
+    //================
+    {
+        return this._pathTypes.encoding;
+    }
+
+    /**
+     * Set how paths are told apart, in the map and its legend.
+     *
+     * @param      {string}  encoding  ``colour``, or ``dash`` to draw each path type
+     *                                 with its own dash pattern as well as colour
+     * @throws     {TypeError}  If the encoding isn't known
+     */
+    setPathEncoding(encoding)
+    //=======================
+    {
+        this._pathTypes.setEncoding(encoding);
+        if (this._userInteractions !== null) {
+            this._userInteractions.pathStylesChanged();
+        }
     }
 
     /**
      * Hide or show all paths except those of the given type.
      *
-     * @param      {string|Array.<string>}   pathTypes The path type(s)
+     * @param      {string|Array.<string>}   pathTypes The path type(s), from those
+     *                                                 given by :meth:`pathTypes`
      * @param      {boolean}  [enable=true]  If ``true`` then only show the path
      *                                       type(s) otherwise only hide the type(s)
+     * @throws     {TypeError}  If a path type isn't known
      */
     showPaths(pathTypes, enable=true)
     //===============================
     {
+        for (const pathType of (Array.isArray(pathTypes) ? pathTypes : [pathTypes])) {
+            if (!this._pathTypes.has(pathType)) {
+                throw new TypeError(`Unknown path type: '${pathType}'`);
+            }
+        }
         if (this._userInteractions !== null) {
             this._userInteractions.showPaths(pathTypes, enable);
         }
     }
 
+    /**
+     * How features are named, one of :attr:`LABEL_MODES`.
+     *
+     * @type string
+     */
+    get labelMode()
+    //=============
+    {
+        return this._labelMode;
+    }
+
+    /**
+     * Name features with labels drawn on the map, with tooltips, or with both.
+     *
+     * Labels of larger features are placed first and labels that would collide
+     * with them are hidden, so more labels are shown as the map is zoomed in.
+     *
+     * @param      {string}  mode  One of :attr:`LABEL_MODES`
+     * @throws     {TypeError}  If the mode isn't known
+     */
+    setLabelMode(mode)
+    //================
+    {
+        this._labelMode = checkLabelMode(mode);
+        if (this._userInteractions !== null) {
+            this._userInteractions.labelModeChanged();
+        }
+    }
+
     /**
      * Load images and patterns/textures referenced in style rules.
      *
@@ -331,13 +620,13 @@ export class FlatMap
         }
     }
 
-    addBaseUrl_(url)
-    //==============
+    addBaseUrl_(url, field='')
+    //========================
     {
         if (url.startsWith('/')) {
             return `${this._baseUrl}flatmap/${this._id}${url}`; // We don't want embedded `{` and `}` characters escaped
         } else if (!url.startsWith('http://') && !url.startsWith('https://')) {
-            console.log(`Invalid URL (${url}) in map's sources`);
+            this.errorEvent(new BadFormatError('style', field, `has an invalid URL (${url})`));
         }
         return url;
     }
@@ -397,145 +686,704 @@ export class FlatMap
         return `${this._id}-${this._mapNumber}`;
     }
 
+    /**
+     * The names of the map's active layers, in the order they were activated.
+     *
+     * @type Array.<string>
+     */
     get activeLayerNames()
     //====================
     {
-        return this._userInteractions.activeLayerNames;
+        return (this._userInteractions !== null) ? this._userInteractions.activeLayerNames.slice() : [];
     }
 
-    get annotations()
-    //===============
+    /**
+     * Make a layer active. Active layers are shown at full brightness and their
+     * features respond to the mouse. An inactive layer is brought to the top
+     * of the map when activated. All layers are active when a map is loaded.
+     *
+     * @param      {string}  layerId  The layer's ``id``, as given in the map's ``layers``
+     * @param      {boolean}  [raise=true]  Bring an inactive layer to the top
+     */
+    activateLayer(layerId, raise=true)
+    //================================
     {
-        return this._idToAnnotation;
+        if (this._userInteractions !== null) {
+            this._userInteractions.activateLayer(layerId, raise);
+        }
     }
 
-    annotation(featureId)
-    //===================
+    /**
+     * The ids of the map's layers in stacking order, lowest first.
+     *
+     * @type Array.<string>
+     */
+    get layerOrder()
+    //==============
     {
-        return this._idToAnnotation.get(featureId);
+        return (this._userInteractions !== null) ? this._userInteractions.layerOrder : [];
     }
 
-    addAnnotation_(featureId, ann)
-    //============================
+    /**
+     * Move a layer up one place in the map's stack of layers.
+     *
+     * Features in higher layers are drawn over, and are found by the mouse before,
+     * those in lower layers.
+     *
+     * @param      {string}  layerId  The layer's ``id``
+     */
+    raiseLayer(layerId)
+    //=================
     {
-        ann.featureId = featureId;
-        this._idToAnnotation.set(featureId, ann);
-        if ('models' in ann) {
-            const modelId = ann.models;
-            if (modelId) {
-                const featureIds = this._modelToFeatureIds.get(modelId);
-                if (featureIds) {
-                    featureIds.push(featureId);
-                } else {
-                    this._modelToFeatureIds.set(modelId, [featureId]);
-                }
-            }
+        if (this._userInteractions !== null) {
+            this._userInteractions.raiseLayer(layerId);
         }
     }
 
-    featureIdsForModel(anatomicalId)
-    //==============================
-    {
-        const featureIds = this._modelToFeatureIds.get(anatomicalId);
-        return featureIds ? featureIds : [];
-    }
-
-    modelForFeature(featureId)
-    //========================
+    /**
+     * Move a layer down one place in the map's stack of layers.
+     *
+     * @param      {string}  layerId  The layer's ``id``
+     */
+    lowerLayer(layerId)
+    //=================
     {
-        const ann = this._idToAnnotation.get(featureId);
-        return (ann && 'models' in ann) ? ann.models : null;
+        if (this._userInteractions !== null) {
+            this._userInteractions.lowerLayer(layerId);
+        }
     }
 
-    get layers()
-    //==========
+    /**
+     * Move a layer to the top of the map's stack of layers.
+     *
+     * @param      {string}  layerId  The layer's ``id``
+     */
+    makeLayerUppermost(layerId)
+    //=========================
     {
-        return this._layers;
+        if (this._userInteractions !== null) {
+            this._userInteractions.makeLayerUppermost(layerId);
+        }
     }
 
-    get map()
-    //=======
+    /**
+     * Move a layer to the bottom of the map's stack of layers.
+     *
+     * @param      {string}  layerId  The layer's ``id``
+     */
+    makeLayerLowest(layerId)
+    //======================
     {
-        return this._map;
+        if (this._userInteractions !== null) {
+            this._userInteractions.makeLayerLowest(layerId);
+        }
     }
 
-    get markers()
-    //===========
+    /**
+     * Add a Mapbox style layer to the map, at a named position in the map's
+     * stack of layers. Positions don't depend on the ids the viewer gives its
+     * own style layers, so stay the same whatever the map.
+     *
+     * Overlays at a position relative to a layer are moved, shown and hidden
+     * with the layer.
+     *
+     * @param      {Object}  spec  A Mapbox style layer. Its ``source`` is either the
+     *                             id of a source already in the map or a Mapbox source
+     *                             object, which is added to the map with the layer's
+     *                             ``id`` and removed with the layer
+     * @param      {Object}  [options={}]
+     * @param      {string}  [options.position=top]  One of :attr:`OVERLAY_POSITIONS`
+     * @param      {string}  [options.layer]  The ``id`` of the layer, as given in the map's
+     *                                        ``layers``, that ``below-features``, ``above-features``
+     *                                        and ``below-labels`` are relative to. Defaults
+     *                                        to the uppermost layer
+     * @return     {string|null}  The overlay's id, or ``null`` if Mapbox rejected the
+     *                             layer, in which case an ``error`` event is sent
+     * @throws     {TypeError}  If the position or layer isn't known, or the map
+     *                          already has a layer with the overlay's id
+     * @throws     {MapNotReadyError}  If the map hasn't finished loading
+     */
+    addOverlayLayer(spec, options={})
+    //===============================
     {
-        return this._markers;
+        const position = options.position || 'top';
+        if (OVERLAY_POSITIONS.indexOf(position) < 0) {
+            throw new TypeError(`Unknown overlay position: '${position}'`);
+        }
+        if (!spec.id || this._map.getLayer(spec.id) !== undefined) {
+            throw new TypeError(`Overlay needs an unused layer id, not '${spec.id}'`);
+        }
+        if (this._userInteractions === null) {
+            throw new MapNotReadyError('add an overlay');
+        }
+        let styleLayer = spec;
+        const addSource = (typeof spec.source === 'object');
+        if (addSource) {
+            this._map.addSource(spec.id, spec.source);
+            styleLayer = Object.assign({}, spec, {source: spec.id});
+        }
+        let added = false;
+        try {
+            added = this._userInteractions.addOverlay(styleLayer, position, options.layer);
+        } finally {
+            if (addSource && !added) {
+                this._map.removeSource(spec.id);
+            }
+        }
+        if (!added) {
+            return null;
+        }
+        if (addSource) {
+            this._overlaySources.add(spec.id);
+        }
+        return spec.id;
     }
 
-    get options()
-    //===========
+    /**
+     * Remove a layer added by :meth:`addOverlayLayer`.
+     *
+     * @param      {string}  id  The overlay's id
+     */
+    removeOverlayLayer(id)
+    //====================
     {
-        return this._options;
+        if (this._userInteractions !== null && this._userInteractions.hasOverlay(id)) {
+            this._userInteractions.removeOverlay(id);
+            if (this._overlaySources.has(id)) {
+                this._map.removeSource(id);
+                this._overlaySources.delete(id);
+            }
+        }
     }
 
-    get pathways()
-    //============
+    /**
+     * Make a layer inactive. Inactive layers are dimmed and their features
+     * don't respond to the mouse.
+     *
+     * @param      {string}  layerId  The layer's ``id``, as given in the map's ``layers``
+     */
+    deactivateLayer(layerId)
+    //======================
     {
-        return this._pathways;
+        if (this._userInteractions !== null) {
+            this._userInteractions.deactivateLayer(layerId);
+        }
     }
 
-    get searchIndex()
-    //===============
+    /**
+     * Whether the map's source images are shown, their opacity, and whether
+     * the view is split between images and features. ``null`` if the map
+     * has no source images.
+     *
+     * @type {{visible: boolean, opacity: number, swipe: boolean}}
+     */
+    get imageLayerDetails()
+    //=====================
     {
-        return this._options.searchable ? this._searchIndex : null;
+        if (this._userInteractions === null
+         || this._userInteractions.imageStyleLayerIds.length === 0) {
+            return null;
+        }
+        return Object.assign(this._userInteractions.imageDetails(), {
+            swipe: (this._imageSwipe !== null)
+        });
     }
 
-    get selectedFeatureLayerName()
-    //============================
+    /**
+     * Show or hide the map's source images.
+     *
+     * @param      {boolean}  [visible=true]
+     */
+    showImageLayers(visible=true)
+    //===========================
     {
-        return this._userInteractions.selectedFeatureLayerName;
+        if (this._userInteractions !== null) {
+            this._userInteractions.setImageVisibility(visible);
+            this.imageLayersChanged_();
+        }
     }
 
-    callback(type, features, ...args)
-    //===============================
+    /**
+     * Set the opacity of the map's source images, to fade them against
+     * the map's features.
+     *
+     * @param      {number}  opacity  From ``0`` (transparent) to ``1`` (opaque)
+     */
+    setImageLayerOpacity(opacity)
+    //===========================
     {
-        if (this._callback) {
-            return this._callback(type, features, ...args);
+        if (this._userInteractions !== null) {
+            this._userInteractions.setImageOpacity(opacity);
+            this.imageLayersChanged_();
         }
     }
 
-    setInitialPosition()
-    //==================
+    /**
+     * Split the map's view, with source images to the left of a handle and
+     * the map's features to its right. Dragging the handle moves the split.
+     *
+     * @param      {boolean}  [enable=true]
+     */
+    enableImageSwipe(enable=true)
+    //===========================
     {
-        if ('bounds' in this._options) {
-            this._map.fitBounds(this._options['bounds']);
-        }
-        if ('center' in this._options) {
-            this._map.setCenter(this._options['center']);
+        if (this.imageLayerDetails === null) {
+            return;
         }
-        if ('zoom' in this._options) {
-            this._map.setZoom(this._options['zoom']);
+        if (enable && this._imageSwipe === null) {
+            const options = {};
+            if (this._resources !== null) {
+                options.transformRequest = this._resources.transformRequest.bind(this._resources);
+            }
+            this._imageSwipe = new ImageSwipe(this._map, this._userInteractions.imageStyleLayerIds, options);
+            this._userInteractions.hideImages(true);
+        } else if (!enable && this._imageSwipe !== null) {
+            this._imageSwipe.remove();
+            this._imageSwipe = null;
+            this._userInteractions.hideImages(false);
         }
-
+        this.imageLayersChanged_();
     }
 
-    annotationEvent(eventType, featureId)
-    //===================================
+    imageLayersChanged_()
+    //===================
     {
-        const ann = this._idToAnnotation.get(featureId);
-        if (ann) {
-            this.callback(eventType, {
-                type: 'feature',
-                id: featureId,
-                label: ann.label,
-                models: ann.models,
-                datasets: ann.datasets,
-                scaffolds: ann.scaffolds,
-                simulations: ann.simulations
-            });
+        if (this._imageControl !== null) {
+            this._imageControl.update();
+        }
+    }
+
+    get annotations()
+    //===============
+    {
+        return this._idToAnnotation;
+    }
+
+    annotation(featureId)
+    //===================
+    {
+        return this._idToAnnotation.get(featureId);
+    }
+
+    addAnnotation_(featureId, ann)
+    //============================
+    {
+        ann.featureId = featureId;
+        this._idToAnnotation.set(featureId, ann);
+        if ('models' in ann) {
+            const modelId = ann.models;
+            if (modelId) {
+                const featureIds = this._modelToFeatureIds.get(modelId);
+                if (featureIds) {
+                    featureIds.push(featureId);
+                } else {
+                    this._modelToFeatureIds.set(modelId, [featureId]);
+                }
+            }
+        }
+    }
+
+    featureIdsForModel(anatomicalId)
+    //==============================
+    {
+        const featureIds = this._modelToFeatureIds.get(anatomicalId);
+        return featureIds ? featureIds : [];
+    }
+
+    /**
+     * Colour features by data about the anatomical terms they model, replacing
+     * any previous data. A legend is shown for the data's colours.
+     *
+     * @param      {Object.<string, number>|Map.<string, number>}  valuesByModelId  Values
+     *             keyed by anatomical term. Terms not on the map, and values that
+     *             can't be coloured, are ignored
+     * @param      {Object}  [options={}]
+     * @param      {string}  [options.scale=linear]  How values are coloured, one of ``linear``,
+     *                                               ``log`` or ``quantize``
+     * @param      {Array.<number>}  [options.domain]  The lowest and highest values, defaulting to
+     *                                                 those in the data
+     * @param      {string|Array.<string>}  [options.palette=viridis]  The name of one of
+     *                                                  :attr:`DATA_PALETTES` or a list of
+     *                                                  ``#RRGGBB`` colours, lowest first
+     * @param      {boolean}  [options.legend=true]  Show a legend
+     * @param      {string}  [options.title]  The legend's title
+     * @param      {string}  [options.position=bottom-left]  Where the legend goes
+     * @return     {{domain: Array.<number>, featureCount: number}}  The domain used and the
+     *                                                              number of features coloured
+     * @throws     {TypeError}  If the scale or palette isn't known, or the palette has colours
+     *                          that aren't ``#RRGGBB``
+     * @throws     {MapNotReadyError}  If the map hasn't finished loading
+     */
+    setFeatureData(valuesByModelId, options={})
+    //=========================================
+    {
+        if (this._userInteractions === null) {
+            throw new MapNotReadyError('colour features by data');
+        }
+        const entries = (valuesByModelId instanceof Map) ? Array.from(valuesByModelId.entries())
+                                                         : Object.entries(valuesByModelId);
+        const colourScale = new ColourScale(entries.map(entry => entry[1]), options);
+        const featureData = new Map();
+        for (const [modelId, value] of entries) {
+            const colour = colourScale.colour(value);
+            if (colour !== null) {
+                for (const featureId of this.featureIdsForModel(modelId)) {
+                    featureData.set(featureId, {colour: colour, value: value});
+                }
+            }
+        }
+        this.clearFeatureData();
+        this._userInteractions.setFeatureData(featureData);
+        if (options.legend !== false) {
+            this._featureDataLegend = new FeatureDataLegend(colourScale, options);
+            this._map.addControl(this._featureDataLegend);
+        }
+        return {
+            domain: colourScale.domain,
+            featureCount: featureData.size
+        };
+    }
+
+    /**
+     * Remove the colouring of features set by :meth:`setFeatureData`, and its legend.
+     */
+    clearFeatureData()
+    //================
+    {
+        if (this._userInteractions !== null) {
+            this._userInteractions.clearFeatureData();
+        }
+        if (this._featureDataLegend !== null) {
+            this._map.removeControl(this._featureDataLegend);
+            this._featureDataLegend = null;
+        }
+    }
+
+    /**
+     * Check the map's annotations for errors, features that don't model an
+     * anatomical term or have no label, and terms modelled by several features.
+     *
+     * @return     {Array.<Object>}  Issues ordered by seriousness, then by layer and
+     *                               feature. Each has the ``featureId``, the kind of
+     *                               ``issue``, one of :attr:`ANNOTATION_ISSUES`, a
+     *                               ``message``, and the feature's ``layer``, ``label``
+     *                               and ``models`` when known
+     */
+    annotationIssues()
+    //================
+    {
+        return findAnnotationIssues(this._idToAnnotation);
+    }
+
+    /**
+     * Is the map showing its annotation issues?
+     *
+     * @type boolean
+     */
+    get annotationQA()
+    //================
+    {
+        return this._annotationIssuesPanel !== null;
+    }
+
+    /**
+     * Turn annotation QA mode on or off. Features with annotation issues are
+     * outlined in the colour of their most serious issue, and the issues are
+     * listed in a panel from which features can be zoomed to and the issues
+     * saved.
+     *
+     * @param      {boolean}  [show=true]
+     */
+    showAnnotationIssues(show=true)
+    //=============================
+    {
+        if (this._annotationIssuesPanel !== null) {
+            this._map.removeControl(this._annotationIssuesPanel);
+            this._annotationIssuesPanel = null;
+        }
+        if (this._userInteractions !== null) {
+            this._userInteractions.clearAnnotationIssues();
+        }
+        if (show) {
+            const issues = this.annotationIssues();
+            if (this._userInteractions !== null) {
+                this._userInteractions.setAnnotationIssues(featureIssues(issues));
+            }
+            this._annotationIssuesPanel = new AnnotationIssuesPanel(this, issues);
+            this._map.addControl(this._annotationIssuesPanel);
+        }
+    }
+
+    /**
+     * Get the map's annotation issues for saving.
+     *
+     * @param      {string}  [format=csv]  ``csv``, with a header row, or ``json``
+     * @return     {string}
+     * @throws     {TypeError}  If the format isn't known
+     */
+    exportAnnotationIssues(format='csv')
+    //==================================
+    {
+        return formatAnnotationIssues(this.annotationIssues(), format);
+    }
+
+    modelForFeature(featureId)
+    //========================
+    {
+        const ann = this._idToAnnotation.get(featureId);
+        return (ann && 'models' in ann) ? ann.models : null;
+    }
+
+    get layers()
+    //==========
+    {
+        return this._layers;
+    }
+
+    get map()
+    //=======
+    {
+        return this._map;
+    }
+
+    get markers()
+    //===========
+    {
+        return this._markers;
+    }
+
+    get options()
+    //===========
+    {
+        return this._options;
+    }
+
+    get pathways()
+    //============
+    {
+        return this._pathways;
+    }
+
+    get searchIndex()
+    //===============
+    {
+        return this._options.searchable ? this._searchIndex : null;
+    }
+
+    get selectedFeatureLayerName()
+    //============================
+    {
+        return this._userInteractions.selectedFeatureLayerName;
+    }
+
+    /**
+     * The identifiers of the selected features, in the order they were selected.
+     *
+     * Features are also selected by shift-clicking them, which toggles whether
+     * a feature is selected. With the ``dragSelect`` option of :meth:`MapManager.loadMap`,
+     * they are selected by dragging a box over them with the shift key down, or a
+     * lasso with both the shift and alt keys down.
+     *
+     * @type Array.<string>
+     */
+    get selectedFeatures()
+    //====================
+    {
+        return (this._userInteractions !== null) ? this._userInteractions.selectedFeatureIds : [];
+    }
+
+    /**
+     * Select features, replacing any current selection.
+     *
+     * @param      {string|Array.<string>}  featureIds  The features' identifiers
+     * @throws     {TypeError}  If a feature isn't known
+     */
+    select(featureIds)
+    //================
+    {
+        featureIds = this.knownFeatureIds_(featureIds);
+        if (this._userInteractions !== null) {
+            this._userInteractions.select(featureIds);
+        }
+    }
+
+    /**
+     * Add features to the selection.
+     *
+     * @param      {string|Array.<string>}  featureIds  The features' identifiers
+     * @throws     {TypeError}  If a feature isn't known
+     */
+    addToSelection(featureIds)
+    //========================
+    {
+        featureIds = this.knownFeatureIds_(featureIds);
+        if (this._userInteractions !== null) {
+            this._userInteractions.addToSelection(featureIds);
+        }
+    }
+
+    /**
+     * Unselect all features.
+     */
+    clearSelection()
+    //==============
+    {
+        if (this._userInteractions !== null) {
+            this._userInteractions.clearSelection();
+        }
+    }
+
+    knownFeatureIds_(featureIds)
+    //==========================
+    {
+        featureIds = Array.isArray(featureIds) ? featureIds : [featureIds];
+        for (const featureId of featureIds) {
+            if (!this._idToAnnotation.has(featureId)) {
+                throw new TypeError(`Unknown feature: '${featureId}'`);
+            }
+        }
+        return featureIds;
+    }
+
+    /**
+     * Add a listener for an event raised by the map.
+     *
+     * @param      {string}  type     The type of event, one of :js:data:`EVENT_TYPES`
+     * @param      {function(Object, ...*)}  handler  Called with the event's details
+     * @return     {FlatMap}  The map, so that calls can be chained
+     * @example
+     * flatmap.on('click', details => showDatasets(details.models))
+     *        .on('click', details => updateBreadcrumb(details.models));
+     */
+    on(type, handler)
+    //===============
+    {
+        return this.addListener_(type, handler, false);
+    }
+
+    /**
+     * Add a listener that is removed after it's first called.
+     *
+     * @param      {string}  type     The type of event, one of :js:data:`EVENT_TYPES`
+     * @param      {function(Object, ...*)}  handler  Called with the event's details
+     * @return     {FlatMap}  The map, so that calls can be chained
+     */
+    once(type, handler)
+    //=================
+    {
+        return this.addListener_(type, handler, true);
+    }
+
+    /**
+     * Remove an event listener.
+     *
+     * @param      {string}  type     The type of event
+     * @param      {function(Object, ...*)}  [handler]  The handler to remove. All of the
+     *                                                  event's listeners are removed if
+     *                                                  not given.
+     * @return     {FlatMap}  The map, so that calls can be chained
+     */
+    off(type, handler)
+    //================
+    {
+        if (handler === undefined) {
+            this._listeners.delete(type);
+        } else if (this._listeners.has(type)) {
+            this._listeners.set(type, this._listeners.get(type).filter(listener => listener.handler !== handler));
+        }
+        return this;
+    }
+
+    addListener_(type, handler, once)
+    //===============================
+    {
+        if (EVENT_TYPES.indexOf(type) < 0) {
+            throw new TypeError(`Unknown flatmap event: ${type}`);
+        }
+        if (!this._listeners.has(type)) {
+            this._listeners.set(type, []);
+        }
+        this._listeners.get(type).push({handler: handler, once: once});
+        return this;
+    }
+
+    /**
+     * Raise an event with the map's listeners and then with the ``callback``
+     * passed to :meth:`MapManager.loadMap`.
+     *
+     * @param      {string}  type      The type of event
+     * @param      {Object}  features  The event's details
+     * @return     The value returned by the ``callback``
+     */
+    callback(type, features, ...args)
+    //===============================
+    {
+        const listeners = this._listeners.get(type);
+        if (listeners !== undefined) {
+            // Handlers may add or remove listeners
+
+            for (const listener of listeners.slice()) {
+                if (listener.once) {
+                    // Only remove this listener, not other registrations of its handler
+
+                    const current = this._listeners.get(type);
+                    if (current !== undefined) {
+                        this._listeners.set(type, current.filter(l => l !== listener));
+                    }
+                }
+                listener.handler(features, ...args);
+            }
+        }
+        if (this._callback) {
+            return this._callback(type, features, ...args);
+        }
+    }
+
+    setInitialPosition()
+    //==================
+    {
+        if ('bounds' in this._options) {
+            this._map.fitBounds(this._options['bounds']);
+        }
+        if ('center' in this._options) {
+            this._map.setCenter(this._options['center']);
+        }
+        if ('zoom' in this._options) {
+            this._map.setZoom(this._options['zoom']);
+        }
+
+    }
+
+    annotationEvent(eventType, featureId)
+    //===================================
+    {
+        if (this._idToAnnotation.has(featureId)) {
+            this.featureEvent(eventType, featureId);
         }
     }
 
     close()
     //=====
     {
+        if (this._stateChangedTimer !== null) {
+            clearTimeout(this._stateChangedTimer);
+            this._stateChangedTimer = null;
+        }
+        this._urlState = null;
+        if (this._imageSwipe !== null) {
+            this._imageSwipe.remove();
+            this._imageSwipe = null;
+        }
+        if (this._errorBanner !== null) {
+            this._errorBanner.clear();
+        }
         if (this._map) {
             this._map.remove();
             this._map = null;
         }
+        if (this._resources !== null) {
+            this._resources.close();
+        }
     }
 
     resize()
@@ -543,36 +1391,279 @@ export class FlatMap
     {
         // Resize our map
 
-        this._map.resize();
+        this._map.resize();
+    }
+
+    mapLayerId(name)
+    //==============
+    {
+        return `${this.uniqueId}/${name}`;
+    }
+
+    getIdentifier()
+    //=============
+    {
+        // Return identifiers for reloading the map
+
+        return {
+            describes: this._describes,
+            source: this._source
+        };
+    }
+
+    /**
+     * Get the map's current state, to later restore with :meth:`setState`.
+     *
+     * The state is a JSON serialisable object with:
+     *
+     * * ``center`` and ``zoom`` -- the map's position.
+     * * ``layers`` -- the names of active layers.
+     * * ``layerOrder`` -- the names of all layers in stacking order, lowest first.
+     * * ``selected`` -- the ids of selected features. The id of a single feature,
+     *   or ``null``, is also accepted by :meth:`setState`.
+     * * ``highlighted`` -- the ids of highlighted features.
+     * * ``hiddenPaths`` -- the ids of path features that are hidden.
+     * * ``pathFilter`` -- the last filter set with :meth:`showPaths`, as an object with
+     *   its ``pathTypes`` and ``enable`` flag; or ``null``. The filter is only applied
+     *   when restoring a state without ``hiddenPaths``.
+     * * ``markers`` -- markers on the map, as objects with the marker's ``id``,
+     *   the anatomical identifier (``models``) it is placed on, and its ``type``.
+     * * ``popup`` -- the open popup, as an object with its ``featureId``, ``content``
+     *   and ``options``; or ``null``. The text of a popup's DOM content is saved, and
+     *   content is restored as plain text.
+     * * ``backgroundColour`` and ``backgroundOpacity``.
+     *
+     * @return     {Object}  The map's state
+     */
+    getState()
+    //========
+    {
+        if (this._userInteractions === null) {
+            return {};
+        }
+        const state = this._userInteractions.getState();
+        const colour = this.getBackgroundColour();
+        if (colour !== undefined) {
+            state.backgroundColour = colour;
+        }
+        const opacity = this.getBackgroundOpacity();
+        if (opacity !== undefined) {
+            state.backgroundOpacity = opacity;
+        }
+        return state;
+    }
+
+    stateChanged_()
+    //=============
+    {
+        // Changes often come in bursts so only act on the last
+
+        if (this._stateChangedTimer !== null) {
+            clearTimeout(this._stateChangedTimer);
+        }
+        this._stateChangedTimer = setTimeout(() => {
+            this._stateChangedTimer = null;
+            if (this._map === null || this._initialState === null) {
+                return;
+            }
+            if (this._urlState !== null) {
+                this._urlState.update();
+            }
+            if (this._restoringHistory) {
+                this._restoringHistory = false;
+            } else {
+                this.recordHistory_();
+            }
+        }, 300);
+    }
+
+    recordHistory_()
+    //==============
+    {
+        if (this._history.record(this.getState()) && this._navigationControl !== null) {
+            this._navigationControl.updateHistoryButtons();
+        }
+    }
+
+    restoreHistory_(view)
+    //===================
+    {
+        if (view !== null) {
+            this._restoringHistory = true;
+            this.setState(view);
+            this.stateChanged_();
+            if (this._navigationControl !== null) {
+                this._navigationControl.updateHistoryButtons();
+            }
+        }
+    }
+
+    /**
+     * Go back to the previous view in the map's history.
+     *
+     * The history records the map's position, selected and highlighted features,
+     * and hidden paths and path filter, as these change.
+     */
+    back()
+    //====
+    {
+        this.restoreHistory_(this._history.back());
+    }
+
+    /**
+     * Go forward to the next view in the map's history.
+     */
+    forward()
+    //=======
+    {
+        this.restoreHistory_(this._history.forward());
+    }
+
+    /**
+     * The map's history of views.
+     *
+     * ``views`` has the ``center``, ``zoom``, ``selected``, ``highlighted``,
+     * ``hiddenPaths`` and ``pathFilter`` parts of the map's state (see :meth:`getState`)
+     * for each view, oldest first, and ``position`` is the index of the current view.
+     * ``canGoBack`` and ``canGoForward`` show if :meth:`back` and :meth:`forward`
+     * will change the view.
+     *
+     * @type {{views: Array.<Object>, position: number, canGoBack: boolean, canGoForward: boolean}}
+     */
+    get history()
+    //===========
+    {
+        return {
+            views: this._history.views,
+            position: this._history.position,
+            canGoBack: this._history.canGoBack,
+            canGoForward: this._history.canGoForward
+        };
+    }
+
+    //==========================================================================
+
+    /**
+     * Save the map's current state as a named view. Any existing view
+     * with the name is replaced.
+     *
+     * @param      {string}  name    The view's name
+     */
+    saveView(name)
+    //============
+    {
+        this._savedViews.save(name, this.getState());
+        this.viewsChanged_();
+    }
+
+    /**
+     * Restore the map to a saved view.
+     *
+     * @param      {string}  name    The view's name
+     * @return     {boolean}  ``true`` if the view exists
+     */
+    restoreView(name)
+    //===============
+    {
+        const state = this._savedViews.get(name);
+        if (state !== null) {
+            this.setState(state);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * @return     {Array.<string>}  The names of the map's saved views, in the order
+     *                               they were saved
+     */
+    listViews()
+    //=========
+    {
+        return this._savedViews.names;
     }
 
-    mapLayerId(name)
+    /**
+     * Delete a saved view.
+     *
+     * @param      {string}  name    The view's name
+     * @return     {boolean}  ``true`` if the view existed
+     */
+    deleteView(name)
     //==============
     {
-        return `${this.uniqueId}/${name}`;
+        const deleted = this._savedViews.delete(name);
+        this.viewsChanged_();
+        return deleted;
     }
 
-    getIdentifier()
-    //=============
+    /**
+     * Get the map's saved views as JSON, to later load with :meth:`importViews`,
+     * possibly into another copy of the map.
+     *
+     * @return     {string}  The views, with the identifier of the map they are for
+     */
+    exportViews()
+    //===========
     {
-        // Return identifiers for reloading the map
+        return JSON.stringify(this._savedViews.export(this.getIdentifier()), null, 2);
+    }
 
-        return {
-            describes: this._describes,
-            source: this._source
-        };
+    /**
+     * Add views exported by :meth:`exportViews`. Imported views replace
+     * existing ones with the same name.
+     *
+     * Views exported from a map describing something else are refused, and a
+     * warning is given for views from another version of this map. Popups in
+     * imported views only have plain text content.
+     *
+     * @param      {string|Object}  views  The exported views, as JSON or as an object
+     * @param      {boolean}  [replace=false]  Delete all existing views first
+     * @return     {number}  The number of views imported
+     * @throws     {BadFormatError}  If the views are not valid or are for a different
+     *                               map, in which case no views are changed
+     */
+    importViews(views, replace=false)
+    //===============================
+    {
+        if (typeof views === 'string') {
+            try {
+                views = JSON.parse(views);
+            } catch (error) {
+                throw new BadFormatError('views', '', 'are not valid JSON');
+            }
+        }
+        const count = this._savedViews.import(views, replace, this.getIdentifier());
+        this.viewsChanged_();
+        return count;
     }
 
-    getState()
-    //========
+    viewsChanged_()
+    //=============
     {
-        return (this._userInteractions !== null) ? this._userInteractions.getState() : {};
+        if (this._viewsControl !== null) {
+            this._viewsControl.update();
+        }
     }
 
+    /**
+     * Restore the map to a state returned by :meth:`getState`.
+     *
+     * Only those parts of the map that are in the state are changed. A popup's
+     * content is restored as plain text.
+     *
+     * @param      {Object}  state   The map's state
+     */
     setState(state)
     //=============
     {
         if (this._userInteractions !== null) {
+            if ('backgroundColour' in state) {
+                this.setBackgroundColour(state.backgroundColour);
+            }
+            if ('backgroundOpacity' in state) {
+                this.setBackgroundOpacity(state.backgroundOpacity);
+            }
             this._userInteractions.setState(state);
         }
     }
@@ -587,6 +1678,40 @@ export class FlatMap
 
     //==========================================================================
 
+    /**
+     * The colours used to draw the map.
+     *
+     * @type {Theme}
+     */
+    get theme()
+    //=========
+    {
+        return this._theme;
+    }
+
+    /**
+     * Change the colours used to draw the map. The map's background is set
+     * to the theme's.
+     *
+     * @param      {string|Object}  theme  The name of a provided theme, ``light``,
+     *                                     ``dark`` or ``high-contrast``, or an object
+     *                                     with colours to override those of the theme
+     *                                     given by its ``name`` field (``light`` if none)
+     * @throws     {TypeError}  If the named theme isn't known
+     */
+    setTheme(theme)
+    //=============
+    {
+        this._theme = resolveTheme(theme);
+        this.setBackgroundColour(this._theme.background);
+        if (this._userInteractions !== null) {
+            this._userInteractions.setTheme(this._theme);
+        }
+        if (this._minimap) {
+            this._minimap.setTheme(this._theme);
+        }
+    }
+
     /**
      * Get the map's current background colour.
      *
@@ -697,15 +1822,65 @@ export class FlatMap
     /**
      * Generate a callback as a result of some event with a flatmap feature.
      *
-     * @param      {string}  eventType     The event type
-     * @param      {string}  anatomicalId  The anatomical identifier of the feature
+     * @param      {string}  eventType        The event type
+     * @param      {string}  featureId        The feature's identifier
+     * @param      {mapboxgl.LngLat}  [lngLat=null]  Where the event occurred
      */
-    featureEvent(eventType, anatomicalId)
-    //===================================
+    featureEvent(eventType, featureId, lngLat=null)
+    //=============================================
     {
-        this.callback(eventType, {
+        const details = {
             type: 'feature',
-            models: anatomicalId
+            id: featureId
+        };
+        const ann = this._idToAnnotation.get(featureId);
+        if (ann) {
+            for (const key of ['label', 'layer', 'models', 'datasets', 'scaffolds', 'simulations']) {
+                if (key in ann) {
+                    details[key] = ann[key];
+                }
+            }
+        }
+        if (lngLat !== null) {
+            details.lngLat = lngLat.toArray();
+        }
+        this.callback(eventType, details);
+    }
+
+    /**
+     * Report an error with the map.
+     *
+     * The map's ``callback`` is called with an ``error`` event, and the error is
+     * shown in a banner over the map if the ``errorBanner`` option is set.
+     *
+     * @param      {Error}  error   The error, usually a :class:`FlatmapError`
+     */
+    errorEvent(error)
+    //===============
+    {
+        this.callback('error', {
+            type: 'error',
+            error: error
+        });
+        if (this._options.errorBanner) {
+            if (this._errorBanner === null) {
+                this._errorBanner = new ErrorBanner(this._container);
+            }
+            this._errorBanner.show(error);
+        }
+    }
+
+    /**
+     * Report that the selected features have changed.
+     *
+     * @param      {Array.<string>}  featureIds  The identifiers of the selected features
+     */
+    selectionEvent(featureIds)
+    //========================
+    {
+        this.callback('selection-changed', {
+            type: 'selection',
+            selected: featureIds
         });
     }
 
@@ -755,8 +1930,101 @@ export class FlatMap
 
 //==============================================================================
 
+function checkLabelMode(mode)
+//===========================
+{
+    if (LABEL_MODES.indexOf(mode) < 0) {
+        throw new TypeError(`Unknown label mode: '${mode}'`);
+    }
+    return mode;
+}
+
+//==============================================================================
+
+function compareCreated(map1, map2)
+//=================================
+{
+    // Order map catalogue entries by creation time, with undated maps first
+
+    const created1 = ('created' in map1) ? map1.created : '';
+    const created2 = ('created' in map2) ? map2.created : '';
+    return (created1 < created2) ? -1
+         : (created1 > created2) ?  1
+         : 0;
+}
+
+//==============================================================================
+
+function abortError()
+//===================
+{
+    return new DOMException('Map loading aborted', 'AbortError');
+}
+
+function checkAborted(signal)
+//===========================
+{
+    if (signal && signal.aborted) {
+        throw abortError();
+    }
+}
+
+//==============================================================================
+
+// The stages of loading a map, in the order they usually complete
+
+const LOAD_STAGES = [
+    'catalogue',    // The map server's list of maps
+    'index',        // The map's index and layer details
+    'style',        // The map's Mapbox style
+    'pathways',     // The map's neural pathways
+    'metadata',     // Annotation of the map's features
+    'markers',      // Additional marker details
+    'tiles'         // Vector tiles have loaded and the map is idle
+];
+
+class LoadProgress
+{
+    constructor(callback)
+    {
+        this._callback = callback;
+        this._completed = 0;
+    }
+
+    completed(stage)
+    //==============
+    {
+        this._completed += 1;
+        if (this._callback) {
+            this._callback(stage, this._completed, LOAD_STAGES.length);
+        }
+    }
+}
+
+//==============================================================================
+
+function indexLayers(mapIndex)
+//============================
+{
+    // Maps with an index version up to 1.0 have details of
+    // their layers in the index
+
+    if (!('version' in mapIndex) || mapIndex.version <= 1.0) {
+        return mapIndex.layers || [];
+    }
+    return null;
+}
+
+//==============================================================================
+
 /**
  * A manager for FlatMaps.
+ *
+ * @arg mapServerUrl {string} The URL of the map server.
+ * @arg options {Object} Default options for maps loaded by the manager (see :meth:`loadMap`).
+ * @arg options.cache {boolean} Keep a persistent cache of maps in the browser's IndexedDB
+ *                              so that maps that have been viewed can be reopened without
+ *                              a network connection. Defaults to ``false``.
  * @example
  * const mapManager = new MapManger('https://mapcore-demo.org/flatmaps/');
  */
@@ -765,11 +2033,13 @@ export class MapManager
     /* Create a MapManager */
     constructor(mapServerUrl, options={})
     {
-        this._mapServer = new MapServer(mapServerUrl);
+        this._mapCache = options.cache ? new MapCache(mapServerUrl) : null;
+        this._mapServer = new MapServer(mapServerUrl, this._mapCache);
         this._options = options;
 
         this._mapList = [];
         this._mapNumber = 0;
+        this._loadErrorBanners = new Map();
 
         this._initialisingMutex = new utils.Mutex();
         this._initialised = false;
@@ -780,12 +2050,23 @@ export class MapManager
     {
         return await this._initialisingMutex.dispatch(async () => {
             if (!this._initialised) {
-                this._mapList = await this._mapServer.loadJSON('');
+                this._mapList = normalisePayload('catalogue', await this._mapServer.loadCatalogue());
                 this._initialised = true;
             }
         });
     }
 
+    /**
+     * Remove all maps from the persistent cache.
+     */
+    async clearCache()
+    //================
+    {
+        if (this._mapCache !== null) {
+            await this._mapCache.clear();
+        }
+    }
+
     allMaps()
     //=======
     {
@@ -820,6 +2101,75 @@ export class MapManager
         });
     }
 
+    /**
+     * Find the maps in the map server's catalogue that match all of the given criteria.
+     *
+     * @arg criteria {Object} The properties a map must have. Criteria that are not
+     *                        specified are not used for matching.
+     * @arg criteria.describes {string} The taxon identifier of the species described by the map.
+     * @arg criteria.id {string} The map's ``id``, assigned at generation time.
+     * @arg criteria.source {string} The URL of the source file from which the map has been generated.
+     * @arg criteria.createdAfter {string|Date} Only maps created after this time.
+     * @arg criteria.createdBefore {string|Date} Only maps created before this time.
+     * @returns {Promise<Array.<Object>>} The catalogue entries of matching maps, most recently
+     *                                    created first.
+     * @example
+     * const builds = await mapManager.findMaps({
+     *                    describes: 'NCBITaxon:9606',
+     *                    createdAfter: '2020-10-01'
+     *                });
+     */
+    async findMaps(criteria={})
+    //=========================
+    {
+        await this.ensureInitialised_();
+        const maps = this.filterMaps_(criteria);
+        return maps.sort((a, b) => compareCreated(b, a));
+    }
+
+    /**
+     * Get every version of the map describing a species.
+     *
+     * @arg describes {string} The taxon identifier of the species described by the maps.
+     * @returns {Promise<Array.<Object>>} The catalogue entries of all builds of the species,
+     *                                    in the order they were created. Each entry has
+     *                                    the ``id``, ``source``, ``describes`` and ``created``
+     *                                    fields from the map's index.
+     */
+    async mapVersions(describes)
+    //==========================
+    {
+        await this.ensureInitialised_();
+        const maps = this.filterMaps_({describes: describes});
+        return maps.sort(compareCreated);
+    }
+
+    filterMaps_(criteria)
+    //===================
+    {
+        const timeString = (time) => (time instanceof Date) ? time.toISOString() : time;
+        const createdAfter = timeString(criteria.createdAfter);
+        const createdBefore = timeString(criteria.createdBefore);
+        const maps = [];
+        for (const map of this._mapList) {
+            if (('describes' in criteria && criteria.describes !== map.describes)
+             || ('id' in criteria && criteria.id !== map.id)
+             || ('source' in criteria && criteria.source !== map.source)) {
+                continue;
+            }
+            if (createdAfter !== undefined
+             && (!('created' in map) || map.created <= createdAfter)) {
+                continue;
+            }
+            if (createdBefore !== undefined
+             && (!('created' in map) || map.created >= createdBefore)) {
+                continue;
+            }
+            maps.push(Object.assign({}, map));
+        }
+        return maps;
+    }
+
     findMap_(identifier)
     //==================
     {
@@ -887,10 +2237,26 @@ export class MapManager
     * @arg container {string} The id of the HTML container in which to display the map.
     * @arg callback {function(string, Object)} A callback function, invoked when events occur with the map. The
     *                                          first parameter gives the type of event, the second provides
-    *                                          details about the feature(s) the event is for.
+    *                                          details about the feature(s) the event is for. The callback is kept
+    *                                          for compatibility; listeners for individual events can be added
+    *                                          with :meth:`FlatMap.on` once the map has loaded. Failures are reported
+    *                                          with an ``error`` event, whose details have a ``type`` of ``error``
+    *                                          and the ``error`` itself, a :class:`FlatmapError` such as a
+    *                                          :class:`NetworkError`, :class:`NotFoundError`, :class:`BadFormatError`,
+    *                                          :class:`UnknownMapError` or :class:`TileError`.
     * @arg options {Object} Configurable options for the map.
-    * @arg options.background {string} Background colour of flatmap. Defaults to ``white``.
+    * @arg options.annotationQA {boolean} Start in annotation QA mode, outlining and listing features with
+    *                                    annotation issues. See :meth:`FlatMap.showAnnotationIssues`.
+    * @arg options.background {string} Background colour of flatmap. Defaults to the theme's background.
+    * @arg options.theme {string|Object} The colours used to draw the map, either the name of a provided
+    *                                    theme (``light`` (default), ``dark`` or ``high-contrast``) or an
+    *                                    object overriding some of a theme's colours. See :meth:`FlatMap.setTheme`.
     * @arg options.debug {boolean} Enable debugging mode.
+    * @arg options.dragSelect {boolean} Select features by dragging a box over them with the shift key down,
+    *                                   or a lasso with both the shift and alt keys down. This replaces
+    *                                   Mapbox's shift-drag zoom. Defaults to ``false``.
+    * @arg options.errorBanner {boolean} Show errors in a banner at the top of the map's container.
+    *                                    Defaults to ``false``.
     * @arg options.featureInfo {boolean} Show information about features as a tooltip. The tooltip is active
     *                                    on highlighted features and, for non-highlighted features, when the
     *                                    ``info`` control is enabled. More details are shown in debug mode.
@@ -902,11 +2268,45 @@ export class MapManager
     *                                            be given as a percentage of the flatmap's width, e.g. ``10%``.
     *                                            The minimap's ``height`` is determined from its width using
     *                                            the flatmap's aspect ratio.
+    * @arg options.imageControl {boolean} Add a control to show, fade and swipe the map's source images.
+    *                                      Only added if the map has source images.
+    * @arg options.labelMode {string} How features are named, one of :attr:`LABEL_MODES`. Defaults to
+    *                                ``both``. See :meth:`FlatMap.setLabelMode`.
+    * @arg options.tooltips {boolean} Only name small features with tooltips, never with labels. Kept for
+    *                                 existing applications; ``labelMode`` applies to all features.
+    * @arg options.layerSwitcher {boolean} Add a control listing the map's layers, to show and hide them,
+    *                                      set their opacity, and choose the active layer.
     * @arg options.maxZoom {number} The maximum zoom level of the map.
     * @arg options.minZoom {number} The minimum zoom level of the map.
     * @arg options.navigationControl {boolean} Add navigation controls (zoom buttons) to the map.
     * @arg options.pathControl {boolean} Add buttons to control pathways including via a color-coded legend.
+    * @arg options.pathTypes {Array.<Object>} Path types to add to, or replace, the viewer's and map server's.
+    *                                         Each has a ``type`` (a path's ``kind``), ``label``, ``colour``
+    *                                         and optional ``dashed`` flag, to draw its paths with a dashed
+    *                                         line, and ``dasharray``, used when paths are encoded by dashes.
+    * @arg options.pathPalette {string|Object} Colours for paths. See :meth:`FlatMap.setPathPalette`.
+    * @arg options.pathEncoding {string} How paths are told apart, ``colour`` (default) or ``dash``.
+    *                                    See :meth:`FlatMap.setPathEncoding`.
     * @arg options.searchable {boolean} Add a control to search for features on a map.
+    * @arg options.viewsControl {boolean} Add a control to save, restore, export and import named views
+    *                                     of the map.
+    * @arg options.urlState {boolean|string} Keep the browser's URL in step with the map's view, so the URL
+    *                                       can be shared and the view reopened with :meth:`loadMapFromUrl`. The
+    *                                       map, its position, selected and highlighted features, and path filter
+    *                                       are encoded in the URL's hash, or in its query string if ``query``.
+    *                                       Defaults to ``false``. Ignored for maps loaded with
+    *                                       :meth:`loadMapFromBundle`.
+    * @arg options.signal {AbortSignal} Abort loading the map when this signal is raised. The returned
+    *                                   promise is then rejected with an ``AbortError``, and a partially
+    *                                   displayed map is closed.
+    * @arg options.progress {function(string, number, number)} A function called as each stage of loading
+    *                                                          completes. Its parameters are the name of the
+    *                                                          stage (one of ``catalogue``, ``index``, ``style``,
+    *                                                          ``pathways``, ``metadata``, ``markers`` and ``tiles``),
+    *                                                          the number of stages completed, and the total number
+    *                                                          of stages. Stages other than ``catalogue`` and
+    *                                                          ``tiles`` are loaded concurrently and so may complete
+    *                                                          in any order.
     * @example
     * const humanMap1 = mapManager.loadMap('humanV1', 'div-1');
     *
@@ -921,103 +2321,280 @@ export class MapManager
     loadMap(identifier, container, callback, options={})
     //==================================================
     {
+        const signal = options.signal;
+        const progress = new LoadProgress(options.progress);
+
+        this.clearLoadError_(container);
         return new Promise(async(resolve, reject) => {
             try {
                 const map = await this.findMap_(identifier);
                 if (map === null) {
-                    throw new Error(`Unknown map for ${JSON.stringify(identifier)}`);
-                };
-
-                // Load the maps index file
-
-                const mapIndex = await this._mapServer.loadJSON(`flatmap/${map.id}/`);
-                if (map.id !== mapIndex.id) {
-                    throw new Error(`Map '${map.id}' has wrong ID in index`);
-                }
-
-                const mapOptions = Object.assign({}, this._options, options);
-
-                // If bounds are not specified in options then set them
-
-                if (!('bounds' in options) && ('bounds' in mapIndex)) {
-                    mapOptions['bounds'] = mapIndex['bounds'];
-                }
-
-                // Default is to show path controls
-
-                if (!('pathControls' in mapOptions)) {
-                    mapOptions['pathControls'] = true;
+                    throw new UnknownMapError(identifier);
                 }
+                checkAborted(signal);
+                progress.completed('catalogue');
+
+                // Load the map's index file, details about its layers, its style,
+                // pathways, metadata and markers concurrently
+
+                const loadJSON = (endpoint, stage) => {
+                    return this._mapServer.loadMapJSON(map, endpoint, signal)
+                                          .then(json => {
+                                              progress.completed(stage);
+                                              return normalisePayload(stage, json);
+                                          });
+                };
 
-                // Get details about the map's layers
-
-                let mapLayers = [];
-                if (!('version' in mapIndex) || mapIndex.version <= 1.0) {
-                    for (const layer of mapIndex.layers) {
-                        // Set layer data if the layer just has an id specified
-                        if (typeof layer === 'string') {
-                            mapLayers.push({
-                                id: layer,
-                                description: layer.charAt(0).toUpperCase() + layer.slice(1),
-                                selectable: true
-                            });
-                        } else {
-                            mapLayers.push(layer);
+                const [[mapIndex, mapLayers], mapStyle, pathways, metadata, mapMarkers] = await Promise.all([
+                    this._mapServer.loadMapJSON(map, '', signal).then(async (json) => {
+                        const mapIndex = normalisePayload('index', json);
+                        if (map.id !== mapIndex.id) {
+                            throw new BadFormatError('index', 'id', `should be '${map.id}', not '${mapIndex.id}'`);
                         }
+                        const mapLayers = await this.loadLayers_(map, mapIndex, signal);
+                        progress.completed('index');
+                        return [mapIndex, mapLayers];
+                    }),
+                    loadJSON('style', 'style'),
+                    loadJSON('pathways', 'pathways'),
+                    loadJSON('metadata', 'metadata'),
+                    loadJSON('markers', 'markers')
+                ]);
+
+                // Get any of the map's tiles that have been cached
+
+                let resources = null;
+                if (this._mapCache !== null) {
+                    try {
+                        resources = await this._mapCache.mapResources(map);
+                    } catch (error) {
+                        console.warn(`Map cache unavailable: ${error}`);
                     }
-                } else {
-                    mapLayers = await this._mapServer.loadJSON(`flatmap/${map.id}/layers`);
-                }
-
-                // Get the map's style file
-
-                const mapStyle = await this._mapServer.loadJSON(`flatmap/${map.id}/style`);
-
-                // Make sure the style has glyphs defined
-
-                if (!('glyphs' in mapStyle)) {
-                    mapStyle.glyphs = 'https://fonts.openmaptiles.org/{fontstack}/{range}.pbf';
                 }
+                checkAborted(signal);
 
-                // Get the map's pathways
+                // Display the map
 
-                const pathways = await this._mapServer.loadJSON(`flatmap/${map.id}/pathways`);
+                return this.displayMap_(container, this._mapServer.url(), {
+                        id: map.id,
+                        details: mapIndex,
+                        source: map.source,
+                        describes: map.describes,
+                        style: mapStyle,
+                        layers: mapLayers,
+                        markers: mapMarkers,
+                        metadata: metadata,
+                        pathways: pathways,
+                        resources: resources,
+                        callback: callback
+                    }, options, resolve, reject, signal, progress);
 
-                // Get the map's metadata
+            } catch (err) {
+                this.reportLoadError_(container, callback, options, err);
+                reject(err);
+            }
+        });
+    }
 
-                const metadata = await this._mapServer.loadJSON(`flatmap/${map.id}/metadata`);
+   /**
+    * Load and display the map and view encoded in a URL by a map with the
+    * ``urlState`` option set.
+    *
+    * @arg container {string} The id of the HTML container in which to display the map.
+    * @arg callback {function(string, Object)} A callback function, invoked when events occur with the map.
+    * @arg options {Object} Configurable options for the map (see :meth:`loadMap`).
+    * @arg url {string} The URL with the map's details. Defaults to the browser's location.
+    * @returns {Promise<FlatMap|null>} The map, or ``null`` if the URL doesn't identify a map.
+    * @example
+    * mapManager.loadMapFromUrl('map-canvas', callback, {urlState: true})
+    *           .then(map => map || mapManager.loadMap('NCBITaxon:9606', 'map-canvas', callback, {urlState: true}));
+    */
+    loadMapFromUrl(container, callback, options={}, url=null)
+    //=======================================================
+    {
+        const urlState = decodeUrlState(url || window.location.href);
+        if (urlState === null) {
+            return Promise.resolve(null);
+        }
+        const state = Object.assign({}, options.state, urlState.state);
+        return this.loadMap(urlState.identifier, container, callback,
+                            Object.assign({}, options, {state: state}));
+    }
 
-                // Get additional marker details for the map
+   /**
+    * Load and display a FlatMap from a local bundle of map files, without
+    * using a map server.
+    *
+    * A bundle contains the files a map server would provide for the map: ``index.json``,
+    * ``style.json``, ``pathways.json``, ``metadata.json``, ``markers.json``, ``layers.json``
+    * (for maps with an index ``version`` greater than 1.0), and the map's vector tiles
+    * as a `PMTiles <https://github.com/protomaps/PMTiles>`_ or
+    * `MBTiles <https://github.com/mapbox/mbtiles-spec>`_ archive. The tiles of a raster
+    * image source in ``style.json`` are in an archive named after the source (e.g.
+    * ``body-image.pmtiles``); image layers without an archive are not shown.
+    *
+    * @arg bundle {File|Blob|ArrayBuffer|FileList|Array.<File>|Object} The map's files. Either a
+    *                                  zip archive, a list of files (for instance, those in a directory
+    *                                  chosen using ``<input type="file" webkitdirectory>``), or an object
+    *                                  with file names as keys and ``File``, ``Blob`` or ``ArrayBuffer``
+    *                                  values.
+    * @arg container {string} The id of the HTML container in which to display the map.
+    * @arg callback {function(string, Object)} A callback function, invoked when events occur with the map.
+    * @arg options {Object} Configurable options for the map (see :meth:`loadMap`).
+    * @example
+    * const fileInput = document.getElementById('bundle-input');
+    * fileInput.onchange = () => mapManager.loadMapFromBundle(fileInput.files[0], 'map-canvas', callback);
+    */
+    loadMapFromBundle(bundle, container, callback, options={})
+    //========================================================
+    {
+        const signal = options.signal;
+        const progress = new LoadProgress(options.progress);
 
-                const mapMarkers = await this._mapServer.loadJSON(`flatmap/${map.id}/markers`);
+        this.clearLoadError_(container);
+        return new Promise(async(resolve, reject) => {
+            try {
+                const mapBundle = await MapBundle.load(bundle);
+                checkAborted(signal);
+                progress.completed('catalogue');
+
+                const mapIndex = mapBundle.json('index');
+                const mapLayers = indexLayers(mapIndex) || mapBundle.json('layers');
+                progress.completed('index');
+
+                const tileArchive = mapBundle.tileArchive();
+                const imageArchives = mapBundle.imageArchives();
+                if (imageArchives.size === 0) {
+                    mapIndex.image_layer = false;
+                }
+                const mapStyle = mapBundle.style(tileArchive, imageArchives);
+                progress.completed('style');
+                const pathways = mapBundle.json('pathways');
+                progress.completed('pathways');
+                const metadata = mapBundle.json('metadata');
+                progress.completed('metadata');
+                const mapMarkers = mapBundle.json('markers');
+                progress.completed('markers');
 
                 // Display the map
 
-                this._mapNumber += 1;
-                const flatmap = new FlatMap(container, this._mapServer.url(),
-                    {
-                        id: map.id,
+                return this.displayMap_(container, BUNDLE_URL, {
+                        id: mapIndex.id,
                         details: mapIndex,
-                        source: map.source,
-                        describes: map.describes,
+                        source: mapIndex.source,
+                        describes: mapIndex.describes,
+                        created: mapIndex.created,
                         style: mapStyle,
-                        options: mapOptions,
                         layers: mapLayers,
                         markers: mapMarkers,
                         metadata: metadata,
-                        number: this._mapNumber,
                         pathways: pathways,
+                        resources: new BundleResources(tileArchive, imageArchives),
                         callback: callback
-                    },
-                    resolve);
-
-                return flatmap;
+                    }, options, resolve, reject, signal, progress);
 
             } catch (err) {
+                this.reportLoadError_(container, callback, options, err);
                 reject(err);
             }
         });
     }
+
+    reportLoadError_(container, callback, options, error)
+    //===================================================
+    {
+        if (error.name === 'AbortError') {
+            return;
+        }
+        if (callback) {
+            callback('error', {
+                type: 'error',
+                error: error
+            });
+        }
+        if (Object.assign({}, this._options, options).errorBanner) {
+            const banner = new ErrorBanner(container);
+            banner.show(error);
+            this._loadErrorBanners.set(container, banner);
+        }
+    }
+
+    clearLoadError_(container)
+    //========================
+    {
+        // Remove any banner left from a failed load into the container
+
+        const banner = this._loadErrorBanners.get(container);
+        if (banner !== undefined) {
+            banner.clear();
+            this._loadErrorBanners.delete(container);
+        }
+    }
+
+    displayMap_(container, baseUrl, mapDescription, options, resolve, reject, signal, progress)
+    //=========================================================================================
+    {
+        const mapIndex = mapDescription.details;
+        const mapOptions = Object.assign({}, this._options, options);
+        delete mapOptions.signal;
+        delete mapOptions.progress;
+
+        // If bounds are not specified in options then set them
+
+        if (!('bounds' in options) && ('bounds' in mapIndex)) {
+            mapOptions['bounds'] = mapIndex['bounds'];
+        }
+
+        // Default is to show path controls
+
+        if (!('pathControls' in mapOptions)) {
+            mapOptions['pathControls'] = true;
+        }
+
+        // Make sure the style has glyphs defined
+
+        if (!('glyphs' in mapDescription.style)) {
+            mapDescription.style.glyphs = 'https://fonts.openmaptiles.org/{fontstack}/{range}.pbf';
+        }
+
+        this._mapNumber += 1;
+        mapDescription.options = mapOptions;
+        mapDescription.number = this._mapNumber;
+
+        let flatmap = null;
+
+        const abortLoad = () => {
+            flatmap.close();
+            reject(abortError());
+        };
+
+        flatmap = new FlatMap(container, baseUrl, mapDescription, (flatmap) => {
+            if (signal) {
+                signal.removeEventListener('abort', abortLoad);
+            }
+            progress.completed('tiles');
+            resolve(flatmap);
+        });
+
+        // Close the partially displayed map if the load is aborted
+        // before tiles have been rendered
+
+        if (signal) {
+            signal.addEventListener('abort', abortLoad);
+        }
+
+        return flatmap;
+    }
+
+    async loadLayers_(map, mapIndex, signal)
+    //======================================
+    {
+        // Get details about the map's layers
+
+        const mapLayers = indexLayers(mapIndex);
+        return (mapLayers !== null) ? mapLayers
+                                    : normalisePayload('layers', await this._mapServer.loadMapJSON(map, 'layers', signal));
+    }
 }
 
 //==============================================================================
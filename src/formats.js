@@ -0,0 +1,314 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+import {BadFormatError} from './errors.js';
+
+//==============================================================================
+
+// Schemas give the ``type`` of a value (one of ``string``, ``number``, ``boolean``,
+// ``object`` or ``array``, or a list of these), and optionally:
+//
+// * ``required`` -- the value must be present in its parent object.
+// * ``properties`` -- schemas for named properties of an object.
+// * ``values`` -- a schema for every value of a dictionary-like object.
+// * ``items`` -- a schema for every item of an array.
+// * ``length`` -- the number of items an array must have.
+//
+// Properties not in a schema are not checked.
+
+const ID = {type: ['string', 'number']};
+const ID_LIST = {type: 'array', items: ID};
+const ID_LISTS = {type: 'object', values: ID_LIST};
+const STRING_LIST = {type: 'array', items: {type: 'string'}};
+
+const BOUNDS = {type: 'array', items: {type: 'number'}, length: 4};
+const POINT = {type: 'array', items: {type: 'number'}, length: 2};
+
+const LAYER = {
+    type: 'object',
+    properties: {
+        'id': {type: 'string', required: true},
+        'description': {type: 'string'},
+        'selectable': {type: 'boolean'},
+        'background_for': {type: 'string'}
+    }
+};
+
+const PATH_TYPE = {
+    type: 'object',
+    properties: {
+        'type': {type: 'string', required: true},
+        'label': {type: 'string'},
+        'colour': {type: 'string', required: true},
+        'dashed': {type: 'boolean'},
+        'dasharray': {type: 'array', items: {type: 'number'}}
+    }
+};
+
+const SCHEMAS = {
+    catalogue: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                'id': {type: 'string', required: true},
+                'source': {type: 'string'},
+                'describes': {type: 'string'},
+                'created': {type: 'string'}
+            }
+        }
+    },
+    index: {
+        type: 'object',
+        properties: {
+            'id': {type: 'string', required: true},
+            'version': {type: 'number'},
+            'source': {type: 'string'},
+            'describes': {type: 'string'},
+            'created': {type: 'string'},
+            'bounds': BOUNDS,
+            'layers': {type: 'array', items: LAYER}
+        }
+    },
+    layers: {
+        type: 'array',
+        items: LAYER
+    },
+    style: {
+        type: 'object',
+        properties: {
+            'sources': {
+                type: 'object',
+                required: true,
+                values: {
+                    type: 'object',
+                    properties: {
+                        'type': {type: 'string', required: true},
+                        'url': {type: 'string'},
+                        'tiles': STRING_LIST
+                    }
+                }
+            },
+            'layers': {type: 'array', items: {type: 'object'}},
+            'glyphs': {type: 'string'}
+        }
+    },
+    pathways: {
+        type: 'object',
+        properties: {
+            'path-lines': Object.assign({required: true}, ID_LISTS),
+            'path-nerves': Object.assign({required: true}, ID_LISTS),
+            'node-paths': {
+                type: 'object',
+                required: true,
+                properties: {
+                    'start-paths': Object.assign({required: true}, ID_LISTS),
+                    'through-paths': Object.assign({required: true}, ID_LISTS),
+                    'end-paths': Object.assign({required: true}, ID_LISTS)
+                }
+            },
+            'type-paths': Object.assign({required: true}, ID_LISTS),
+            'path-types': {type: 'array', items: PATH_TYPE}
+        }
+    },
+    'path-types': {
+        type: 'array',
+        items: PATH_TYPE
+    },
+    metadata: {
+        type: 'object',
+        values: {
+            type: 'object',
+            properties: {
+                'layer': {type: 'string'},
+                'tile-layer': {type: 'string'},
+                'label': {type: 'string'},
+                'models': {type: 'string'},
+                'bounds': BOUNDS,
+                'centroid': POINT
+            }
+        }
+    },
+    markers: {
+        type: ['object', 'array']
+    },
+    views: {
+        type: 'object',
+        properties: {
+            'version': {type: 'number'},
+            'views': {
+                type: 'array',
+                required: true,
+                items: {
+                    type: 'object',
+                    properties: {
+                        'name': {type: 'string', required: true},
+                        'created': {type: 'string'},
+                        'state': {type: 'object', required: true}
+                    }
+                }
+            }
+        }
+    }
+};
+
+//==============================================================================
+
+function typeOf(value)
+//====================
+{
+    return (value === null) ? 'null'
+         : Array.isArray(value) ? 'array'
+         : typeof value;
+}
+
+function fieldName(parent, name)
+//==============================
+{
+    return parent ? `${parent}.${name}` : name;
+}
+
+function validate(endpoint, schema, value, field='')
+//==================================================
+{
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const type = typeOf(value);
+    if (types.indexOf(type) < 0) {
+        throw new BadFormatError(endpoint, field, `should be ${types.join(' or ')}, not ${type}`);
+    }
+    if (type === 'array') {
+        if ('length' in schema && value.length !== schema.length) {
+            throw new BadFormatError(endpoint, field, `should have ${schema.length} items, not ${value.length}`);
+        }
+        if ('items' in schema) {
+            value.forEach((item, index) => validate(endpoint, schema.items, item, `${field}[${index}]`));
+        }
+    } else if (type === 'object') {
+        if ('properties' in schema) {
+            for (const [name, propertySchema] of Object.entries(schema.properties)) {
+                if (name in value) {
+                    validate(endpoint, propertySchema, value[name], fieldName(field, name));
+                } else if (propertySchema.required) {
+                    throw new BadFormatError(endpoint, fieldName(field, name), 'is missing');
+                }
+            }
+        }
+        if ('values' in schema) {
+            for (const [key, item] of Object.entries(value)) {
+                validate(endpoint, schema.values, item, fieldName(field, key));
+            }
+        }
+    }
+}
+
+//==============================================================================
+
+// Adapters bring older formats of a payload up to date. They are applied
+// before validation and so must not assume a payload is well formed.
+
+function adaptLayer(layer)
+//========================
+{
+    // Early maps only give the layer's id
+
+    if (typeof layer === 'string') {
+        return {
+            id: layer,
+            description: layer.charAt(0).toUpperCase() + layer.slice(1),
+            selectable: true
+        };
+    }
+    return layer;
+}
+
+function adaptIndex(index)
+//========================
+{
+    // Indexes up to version 1.0 include details of the map's layers
+
+    if (typeOf(index) === 'object'
+     && (!('version' in index) || index.version <= 1.0)
+     && Array.isArray(index.layers)) {
+        index.layers = index.layers.map(adaptLayer);
+    }
+    return index;
+}
+
+function adaptLayers(layers)
+//==========================
+{
+    return Array.isArray(layers) ? layers.map(adaptLayer) : layers;
+}
+
+function adaptPathways(pathways)
+//==============================
+{
+    if (typeOf(pathways) !== 'object') {
+        return pathways;
+    }
+
+    // Every path with lines needs a (possibly empty) list of nerves
+
+    if (typeOf(pathways['path-lines']) === 'object'
+     && typeOf(pathways['path-nerves']) === 'object') {
+        for (const pathId of Object.keys(pathways['path-lines'])) {
+            if (!(pathId in pathways['path-nerves'])) {
+                pathways['path-nerves'][pathId] = [];
+            }
+        }
+    }
+    return pathways;
+}
+
+const ADAPTERS = {
+    index: adaptIndex,
+    layers: adaptLayers,
+    pathways: adaptPathways
+};
+
+//==============================================================================
+
+/**
+ * Bring a map server's payload into the format used by the viewer and check
+ * that it is well formed.
+ *
+ * @param      {string}  endpoint  The payload's endpoint: one of ``catalogue``,
+ *                                 ``index``, ``layers``, ``style``, ``pathways``,
+ *                                 ``metadata`` or ``markers``; ``views`` for
+ *                                 saved views exported from a map; or ``path-types``
+ *                                 for path types given in a map's options
+ * @param      {Object}  payload   The JSON returned from the endpoint
+ * @return     {Object}  The normalised payload
+ * @throws     {BadFormatError}  If the payload is not valid
+ */
+export function normalisePayload(endpoint, payload)
+//=================================================
+{
+    const adapter = ADAPTERS[endpoint];
+    const normalised = adapter ? adapter(payload) : payload;
+    validate(endpoint, SCHEMAS[endpoint], normalised);
+    return normalised;
+}
+
+//==============================================================================
@@ -0,0 +1,140 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+// The parts of a map's state that are kept in its history
+
+const HISTORY_STATE = ['center', 'zoom', 'selected', 'highlighted', 'hiddenPaths', 'pathFilter'];
+
+const MAX_HISTORY = 100;
+
+//==============================================================================
+
+function historyState(state)
+//==========================
+{
+    const view = {};
+    for (const key of HISTORY_STATE) {
+        if (key in state) {
+            view[key] = state[key];
+        }
+    }
+
+    // Ignore tiny differences in position
+
+    if ('center' in view) {
+        view.center = view.center.map(value => +value.toFixed(6));
+    }
+    if ('zoom' in view) {
+        view.zoom = +view.zoom.toFixed(3);
+    }
+    return view;
+}
+
+//==============================================================================
+
+/**
+ * A list of a map's views, with a current position that can be moved
+ * back and forward.
+ */
+export class ViewHistory
+{
+    constructor()
+    {
+        this._views = [];
+        this._keys = [];
+        this._position = -1;
+    }
+
+    get canGoBack()
+    //=============
+    {
+        return this._position > 0;
+    }
+
+    get canGoForward()
+    //================
+    {
+        return this._position < (this._views.length - 1);
+    }
+
+    get position()
+    //============
+    {
+        return this._position;
+    }
+
+    get views()
+    //=========
+    {
+        return this._views.map(view => JSON.parse(JSON.stringify(view)));
+    }
+
+    /**
+     * Add a view after the current one, discarding any later views.
+     *
+     * @param      {Object}  state   The map's state
+     * @return     {boolean}  ``true`` if the view differs from the current one
+     *                        and so was added
+     */
+    record(state)
+    //===========
+    {
+        const view = historyState(state);
+        const key = JSON.stringify(view);
+        if (this._position >= 0 && this._keys[this._position] === key) {
+            return false;
+        }
+        this._position += 1;
+        this._views.splice(this._position, this._views.length, view);
+        this._keys.splice(this._position, this._keys.length, key);
+        if (this._views.length > MAX_HISTORY) {
+            this._views.shift();
+            this._keys.shift();
+            this._position -= 1;
+        }
+        return true;
+    }
+
+    back()
+    //====
+    {
+        if (this.canGoBack) {
+            this._position -= 1;
+            return this._views[this._position];
+        }
+        return null;
+    }
+
+    forward()
+    //=======
+    {
+        if (this.canGoForward) {
+            this._position += 1;
+            return this._views[this._position];
+        }
+        return null;
+    }
+}
+
+//==============================================================================
@@ -34,6 +34,7 @@ import {ContextMenu} from './contextmenu.js';
 import {InfoControl} from './info.js';
 import {LayerManager} from './layers.js';
 import {Pathways} from './pathways.js';
+import {DragSelect, polygonContains} from './selection.js';
 //import {QueryInterface} from './query.js';
 import {NerveKey, PathControl} from './controls.js';
 import {indexedProperties} from './search.js';
@@ -91,13 +92,18 @@ export class UserInteractions
 //        this._queryInterface = new QueryInterface(flatmap.id);
 
         this._activeFeatures = [];
-        this._selectedFeature = null;
+        this._selectedFeatures = new Map();
         this._highlightedFeatures = [];
+        this._dataFeatures = [];
+        this._issueFeatures = [];
         this._currentPopup = null;
+        this._popupDetails = null;
         this._infoControl = null;
         this._tooltip = null;
 
         this._disabledPathFeatures = false;
+        this._hiddenPathFeatureIds = new Set();
+        this._pathFilter = null;
 
         this._inQuery = false;
         this._modal = false;
@@ -107,6 +113,7 @@ export class UserInteractions
         this._activeMarker = null;
         this._lastMarkerId = 900000;
         this._markerIdByMarker = new Map();
+        this._markerDetails = new Map();
 
         // Mapbox dynamically sets a transform on marker elements so in
         // order to apply a scale transform we need to create marker icons
@@ -137,6 +144,7 @@ export class UserInteractions
         // or by our local controls
 
         this._pathways = new Pathways(flatmap);
+        this._nerveKey = null;
 
         if (flatmap.options.pathControls) {
             // Add controls to manage our pathways
@@ -145,12 +153,13 @@ export class UserInteractions
 
             // Add a key showing nerve types
 
-            this._map.addControl(new NerveKey(flatmap));
+            this._nerveKey = new NerveKey(flatmap);
+            this._map.addControl(this._nerveKey);
         }
 
         // Manage our layers
 
-        this._layerManager = new LayerManager(flatmap);
+        this._layerManager = new LayerManager(flatmap, flatmap.options.layerSwitcher);
 
         // Add the map's layers
 
@@ -169,9 +178,14 @@ export class UserInteractions
         }
         for (const layer of flatmap.layers) {
             if (layer.background_for) {
+                // Background layers are drawn beneath their parent layer,
+                // as part of it. Those without a parent are shown as is
+
                 const l = layersById.get(layer.background_for);
-                l.backgroundLayers.push(layer);
-                layerBackgroundIds.push(layer.id);
+                if (l !== undefined) {
+                    l.backgroundLayers.push(layer);
+                    layerBackgroundIds.push(layer.id);
+                }
             }
         }
         for (const layer of flatmap.layers) {
@@ -181,16 +195,22 @@ export class UserInteractions
         }
 
         // Flag features that have annotations
-        // Also flag those features that are models of something
+        // Also flag those features that are models of something. Annotation
+        // errors aren't load failures, so are left for annotation QA (see
+        // `FlatMap.annotationIssues()`) rather than raised as error events
 
+        let annotationErrors = 0;
         for (const [id, ann] of flatmap.annotations) {
             const feature = this.mapFeature_(id);
             this._map.setFeatureState(feature, { 'annotated': true });
             if ('error' in ann) {
                 this._map.setFeatureState(feature, { 'annotation-error': true });
-                console.log(`Annotation error, ${ann.layer}: ${ann.error} (${ann.text})`);
+                annotationErrors += 1;
             }
         }
+        if (annotationErrors > 0) {
+            console.warn(`Map has ${annotationErrors} annotation error(s)`);
+        }
 
         // Display a context menu on right-click
 
@@ -211,26 +231,113 @@ export class UserInteractions
         // Handle mouse events
 
         this._map.on('click', this.clickEvent_.bind(this));
+        this._map.on('dblclick', this.doubleClickEvent_.bind(this));
         this._map.on('mousemove', this.mouseMoveEvent_.bind(this));
-        this._lastModelMouseEntered = null;
+        this._map.on('mouseout', this.mouseOutEvent_.bind(this));
+        this._lastFeatureMouseEntered = null;
+
+        // Optionally select features by dragging a box or lasso over them
+
+        this._dragSelect = flatmap.options.dragSelect ? new DragSelect(this._map, this.dragSelect_.bind(this))
+                                                      : null;
     }
 
     getState()
     //========
     {
-        // Return the map's centre, zoom, and active layers
+        // Return the map's centre, zoom, active layers, and the state
+        // of its features, markers and popup
         // Can only be called when the map is fully loaded
         return {
             center: this._map.getCenter().toArray(),
             zoom: this._map.getZoom(),
-            layers: this.activeLayerNames
+            layers: this.activeLayerNames.slice(),
+            layerOrder: this._layerManager.layerOrder,
+            selected: this.selectedFeatureIds,
+            highlighted: this._highlightedFeatures.map(feature => this.featureId_(feature)),
+            hiddenPaths: Array.from(this._hiddenPathFeatureIds),
+            pathFilter: (this._pathFilter !== null) ? Object.assign({}, this._pathFilter) : null,
+            markers: Array.from(this._markerDetails.values()).map(marker => Object.assign({}, marker)),
+            popup: (this._popupDetails !== null) ? Object.assign({}, this._popupDetails) : null
         };
     }
 
     setState(state)
     //=============
     {
-        // Restore the map to a saved state
+        // Restore the map to a saved state. Only those parts of
+        // the map given in the state are changed
+
+        const knownFeature = (featureId) => (this._flatmap.annotation(featureId) !== undefined);
+
+        if ('layers' in state) {
+            for (const name of this.activeLayerNames.slice()) {
+                if (state.layers.indexOf(name) < 0) {
+                    this._layerManager.deactivate(this._flatmap.mapLayerId(name));
+                }
+            }
+            for (const name of state.layers) {
+                this._layerManager.activate(this._flatmap.mapLayerId(name));
+            }
+        }
+        if ('layerOrder' in state) {
+            for (const name of state.layerOrder) {
+                this._layerManager.makeUppermost(this._flatmap.mapLayerId(name));
+            }
+        }
+        if ('hiddenPaths' in state) {
+            this.enablePathFeatures_(true, this._pathways.allFeatureIds());
+            this._disabledPathFeatures = false;
+            this.enablePathFeatures_(false, state.hiddenPaths.filter(knownFeature));
+            this._pathFilter = state.pathFilter || null;
+        } else if ('pathFilter' in state) {
+            // Hidden paths are more specific than a filter, which
+            // is only used when they are not given
+
+            if (state.pathFilter !== null) {
+                this.showPaths(state.pathFilter.pathTypes, state.pathFilter.enable);
+            } else {
+                this.enablePathFeatures_(true, this._pathways.allFeatureIds());
+                this._disabledPathFeatures = false;
+                this._pathFilter = null;
+            }
+        }
+        if ('markers' in state) {
+            this.clearMarkers();
+            for (const marker of state.markers) {
+                this.addMarker_(marker.models, marker.type, marker.id);
+            }
+        }
+
+        // Showing a popup highlights its feature so must come before
+        // restoring highlighted features
+
+        if ('popup' in state) {
+            if (this._currentPopup) {
+                this._currentPopup.remove();
+            }
+            if (state.popup !== null) {
+                // Content is restored as plain text, never as HTML
+
+                const popup = state.popup;
+                this.showPopup(popup.featureId, String(popup.content || ''), popup.options || {});
+            }
+        }
+        if ('highlighted' in state) {
+            this.unhighlightFeatures_();
+            for (const featureId of state.highlighted.filter(knownFeature)) {
+                this.highlightFeature_(this.mapFeature_(featureId));
+            }
+        }
+        if ('selected' in state) {
+            // Older states have the id of a single selected feature
+
+            const selected = (state.selected === null) ? [] : [].concat(state.selected);
+            this.select(selected.filter(knownFeature));
+        }
+
+        // Restore the camera last as showing a popup may pan the map
+
         const options = {};
         if ('center' in state) {
             options['center'] = state.center;
@@ -254,6 +361,189 @@ export class UserInteractions
         return this._layerManager.activeLayerNames;
     }
 
+    get layerOrder()
+    //==============
+    {
+        return this._layerManager.layerOrder;
+    }
+
+    raiseLayer(layerName)
+    //===================
+    {
+        this._layerManager.raise(this._flatmap.mapLayerId(layerName));
+    }
+
+    lowerLayer(layerName)
+    //===================
+    {
+        this._layerManager.lower(this._flatmap.mapLayerId(layerName));
+    }
+
+    makeLayerUppermost(layerName)
+    //===========================
+    {
+        this._layerManager.makeUppermost(this._flatmap.mapLayerId(layerName));
+    }
+
+    makeLayerLowest(layerName)
+    //========================
+    {
+        this._layerManager.makeLowest(this._flatmap.mapLayerId(layerName));
+    }
+
+    activateLayer(layerName, raise=true)
+    //==================================
+    {
+        this._layerManager.activate(this._flatmap.mapLayerId(layerName), raise);
+    }
+
+    deactivateLayer(layerName)
+    //========================
+    {
+        // Features in the layer are no longer interactive
+
+        this.resetActiveFeatures_();
+        this._layerManager.deactivate(this._flatmap.mapLayerId(layerName));
+    }
+
+    setTheme(theme)
+    //=============
+    {
+        this._layerManager.setTheme(theme);
+    }
+
+    /**
+     * Colour features by data.
+     *
+     * @param      {Map.<string, {colour: string, value: number}>}  featureData  Colours
+     *             and values by feature id
+     */
+    setFeatureData(featureData)
+    //=========================
+    {
+        this.clearFeatureData();
+        for (const [featureId, data] of featureData.entries()) {
+            if (this._flatmap.annotation(featureId) !== undefined) {
+                const feature = this.mapFeature_(featureId);
+                this._map.setFeatureState(feature, {
+                    'data': true,
+                    'data-colour': data.colour,
+                    'data-value': data.value
+                });
+                this._dataFeatures.push(feature);
+            }
+        }
+    }
+
+    clearFeatureData()
+    //================
+    {
+        for (const feature of this._dataFeatures) {
+            this._map.removeFeatureState(feature, 'data');
+            this._map.removeFeatureState(feature, 'data-colour');
+            this._map.removeFeatureState(feature, 'data-value');
+        }
+        this._dataFeatures = [];
+    }
+
+    /**
+     * Outline features with annotation issues.
+     *
+     * @param      {Map.<string, string>}  featureIssues  The kind of issue by feature id
+     */
+    setAnnotationIssues(featureIssues)
+    //================================
+    {
+        this.clearAnnotationIssues();
+        for (const [featureId, issue] of featureIssues.entries()) {
+            if (this._flatmap.annotation(featureId) !== undefined) {
+                const feature = this.mapFeature_(featureId);
+                this._map.setFeatureState(feature, { 'annotation-issue': issue });
+                this._issueFeatures.push(feature);
+            }
+        }
+    }
+
+    clearAnnotationIssues()
+    //=====================
+    {
+        for (const feature of this._issueFeatures) {
+            this._map.removeFeatureState(feature, 'annotation-issue');
+        }
+        this._issueFeatures = [];
+    }
+
+    addOverlay(styleLayer, position, layerName)
+    //=========================================
+    {
+        return this._layerManager.addOverlay(styleLayer, position,
+                                      (layerName !== undefined) ? this._flatmap.mapLayerId(layerName)
+                                                                : undefined);
+    }
+
+    hasOverlay(styleLayerId)
+    //======================
+    {
+        return this._layerManager.hasOverlay(styleLayerId);
+    }
+
+    removeOverlay(styleLayerId)
+    //=========================
+    {
+        this._layerManager.removeOverlay(styleLayerId);
+    }
+
+    pathStylesChanged()
+    //=================
+    {
+        this._layerManager.pathStylesChanged();
+        if (this._nerveKey !== null) {
+            this._nerveKey.update();
+        }
+    }
+
+    /**
+     * Show or hide feature labels, and tooltips, for the map's label mode.
+     */
+    labelModeChanged()
+    //================
+    {
+        this._layerManager.showLabels(this._flatmap.labelMode !== 'tooltips');
+        if (this._flatmap.labelMode === 'labels') {
+            this.removeTooltip_();
+        }
+    }
+
+    get imageStyleLayerIds()
+    //======================
+    {
+        return this._layerManager.imageStyleLayerIds;
+    }
+
+    imageDetails()
+    //============
+    {
+        return this._layerManager.imageDetails();
+    }
+
+    setImageOpacity(opacity)
+    //======================
+    {
+        this._layerManager.setImageOpacity(opacity);
+    }
+
+    setImageVisibility(visible)
+    //=========================
+    {
+        this._layerManager.setImageVisibility(visible);
+    }
+
+    hideImages(hidden)
+    //================
+    {
+        this._layerManager.hideImages(hidden);
+    }
+
     mapFeature_(featureId)
     //====================
     {
@@ -261,34 +551,121 @@ export class UserInteractions
         return {
             id: featureId.split('#')[1],
             source: VECTOR_TILES_SOURCE,
-            sourceLayer: `${ann.layer}-${ann['tile-layer']}`
+            sourceLayer: `${ann.layer}-${ann['tile-layer']}`,
+            featureId: featureId
         };
     }
 
-    selectFeature_(feature)
-    //=====================
+    featureId_(feature)
+    //=================
     {
-        this.unselectFeatures_(false);
-        this._map.setFeatureState(feature, { 'selected': true });
-        this._selectedFeature = feature;
+        // Features are either from `mapFeature_()` or rendered ones
+
+        return ('featureId' in feature) ? feature.featureId : feature.properties.id;
     }
 
-    unselectFeatures_(reset=true)
-    //===========================
+    get selectedFeatureIds()
+    //======================
     {
-        if (this._selectedFeature !== null) {
-            this._map.removeFeatureState(this._selectedFeature, 'selected');
-            if (reset) {
-                this._selectedFeature = null;
+        return Array.from(this._selectedFeatures.keys());
+    }
+
+    select(featureIds)
+    //================
+    {
+        this.setSelection_(featureIds);
+    }
+
+    addToSelection(featureIds)
+    //========================
+    {
+        this.setSelection_(this.selectedFeatureIds.concat(featureIds));
+    }
+
+    clearSelection()
+    //==============
+    {
+        this.setSelection_([]);
+    }
+
+    toggleSelection_(featureId)
+    //=========================
+    {
+        if (this._selectedFeatures.has(featureId)) {
+            this.setSelection_(this.selectedFeatureIds.filter(id => (id !== featureId)));
+        } else {
+            this.addToSelection([featureId]);
+        }
+    }
+
+    setSelection_(featureIds)
+    //=======================
+    {
+        // Only features whose selection changes are updated
+
+        const selection = new Set(featureIds);
+        let changed = false;
+        for (const [featureId, feature] of this._selectedFeatures) {
+            if (!selection.has(featureId)) {
+                this._map.removeFeatureState(feature, 'selected');
+                this._selectedFeatures.delete(featureId);
+                changed = true;
+            }
+        }
+        for (const featureId of selection) {
+            if (!this._selectedFeatures.has(featureId)) {
+                const feature = this.mapFeature_(featureId);
+                this._map.setFeatureState(feature, { 'selected': true });
+                this._selectedFeatures.set(featureId, feature);
+                changed = true;
+            }
+        }
+        if (changed) {
+            this._flatmap.selectionEvent(this.selectedFeatureIds);
+            this._flatmap.stateChanged_();
+        }
+    }
+
+    dragSelect_(polygon)
+    //==================
+    {
+        // Select the features in active layers whose centres are inside
+        // the dragged area
+
+        const xs = polygon.map(point => point.x);
+        const ys = polygon.map(point => point.y);
+        const features = this._map.queryRenderedFeatures([
+            [Math.min(...xs), Math.min(...ys)],
+            [Math.max(...xs), Math.max(...ys)]
+        ], {
+            layers: this._layerManager.activeStyleLayerIds
+        });
+        const featureIds = new Set();
+        for (const feature of features) {
+            const featureId = feature.properties.id;
+            const annotation = (featureId !== undefined) ? this._flatmap.annotation(featureId) : undefined;
+            if (annotation && annotation.bounds && !featureIds.has(featureId)) {
+                const bounds = annotation.bounds;
+                const centre = this._map.project([(bounds[0] + bounds[2])/2, (bounds[1] + bounds[3])/2]);
+                if (polygonContains(polygon, centre)) {
+                    featureIds.add(featureId);
+                }
             }
         }
+        this.select(Array.from(featureIds));
     }
 
     get selectedFeatureLayerName()
     //============================
     {
-        if (this._selectedFeature !== null) {
-            const layerId = this._selectedFeature.layer.id;
+        // The layer of the most recently selected feature
+
+        const selectedFeature = Array.from(this._selectedFeatures.values()).pop();
+        if (selectedFeature !== undefined) {
+            if (!('layer' in selectedFeature)) {
+                return this._flatmap.annotation(selectedFeature.featureId).layer;
+            }
+            const layerId = selectedFeature.layer.id;
             if (layerId.includes('-')) {
                 return layerId.split('-').slice(0, -1).join('-');
             } else {
@@ -303,6 +680,7 @@ export class UserInteractions
     {
         this._map.setFeatureState(feature, { 'highlighted': true });
         this._highlightedFeatures.push(feature);
+        this._flatmap.stateChanged_();
     }
 
     unhighlightFeatures_(reset=true)
@@ -311,19 +689,21 @@ export class UserInteractions
         for (const feature of this._highlightedFeatures) {
             this._map.removeFeatureState(feature, 'highlighted');
         }
-        this._highlightedFeatures = [];
+        if (this._highlightedFeatures.length > 0) {
+            this._highlightedFeatures = [];
+            this._flatmap.stateChanged_();
+        }
     }
 
-    activeFeaturesAtEvent_(event)
-    //===========================
+    renderedFeatures_(point)
+    //======================
     {
-        // Get the features covering the event's point that are in the active layers
+        // Get the features covering a point. Only features in
+        // active layers are interactive
 
-        return this._map.queryRenderedFeatures(event.point).filter(f => {
-            return (this.activeLayerNames.indexOf(f.sourceLayer) >= 0)
-                && ('id' in f.properties);
-            }
-        );
+        return this._map.queryRenderedFeatures(point, {
+            layers: this._layerManager.activeStyleLayerIds
+        });
     }
 
     activateFeature_(feature)
@@ -375,6 +755,11 @@ export class UserInteractions
         }
         this._lastContextTime = Date.now();
 
+        const eventFeatureId = this.eventFeatureId_(event);
+        if (eventFeatureId !== null) {
+            this._flatmap.featureEvent('contextmenu', eventFeatureId, event.lngLat);
+        }
+
         if (this._activeFeatures.length > 0) {
             const feature = this._activeFeatures[0];
 
@@ -429,16 +814,20 @@ export class UserInteractions
             const feature = this.mapFeature_(featureId);
             if (enable) {
                 this._map.removeFeatureState(feature, 'hidden');
+                this._hiddenPathFeatureIds.delete(featureId);
             } else {
                 this._map.setFeatureState(feature, { 'hidden': true });
+                this._hiddenPathFeatureIds.add(featureId);
                 this._disabledPathFeatures = true;
             }
         }
+        this._flatmap.stateChanged_();
     }
 
     togglePaths()
     //===========
     {
+        this._pathFilter = null;
         if (this._disabledPathFeatures){
             this.enablePathFeatures_(true, this._pathways.allFeatureIds());
             this._disabledPathFeatures = false;
@@ -455,6 +844,7 @@ export class UserInteractions
         this.unhighlightFeatures_();
         this.enablePathFeatures_(true, this._pathways.allFeatureIds());
         this._disabledPathFeatures = false;
+        this._pathFilter = null;
     }
 
     clearSearchResults(reset=true)
@@ -554,6 +944,21 @@ export class UserInteractions
             } else {
                 this._currentPopup.setText(content);
             }
+
+            // Remember the popup so it can be saved with the map's state.
+            // Only the text of DOM content is saved
+
+            const popup = this._currentPopup;
+            this._popupDetails = {
+                featureId: featureId,
+                content: (typeof content === 'object') ? content.textContent : content,
+                options: options
+            };
+            popup.on('close', () => {
+                if (this._currentPopup === popup) {
+                    this._popupDetails = null;
+                }
+            });
         }
     }
 
@@ -580,7 +985,9 @@ export class UserInteractions
                 }
             }
             return `<div id="info-control-info">${htmlList.join('\n')}</div>`;
-        } else if (!('labelled' in properties)) {
+        } else if (!('labelled' in properties) || this._flatmap.labelMode === 'tooltips') {
+            // Labelled features only have tooltips when their labels are hidden
+
             const label = properties.label;
             const capitalisedLabel = label.substr(0, 1).toUpperCase() + label.substr(1).toLowerCase();
             if (labelSuffix === '') {
@@ -614,21 +1021,14 @@ export class UserInteractions
 
         // Get all the features at the current point
 
-        const features = this._map.queryRenderedFeatures(event.point);
-        if (features.length === 0) {
-            return;
-        }
+        const features = this.renderedFeatures_(event.point);
 
-        // Simulate `mouseenter` events on features
+        // Simulate `mouseenter` and `mouseleave` events on features
 
-        const feature = features[0];
-        if ('properties' in feature && 'models' in feature.properties) {
-            if (this._lastModelMouseEntered !== feature.properties.models) {
-                this._flatmap.featureEvent('mouseenter', feature.properties.models);
-                this._lastModelMouseEntered = feature.properties.models
-            }
-        } else {
-            this._lastModelMouseEntered = null;
+        const feature = features.find(feature => ('id' in feature.properties));
+        this.mouseEnterFeature_((feature !== undefined) ? feature.properties.id : null, event.lngLat);
+        if (features.length === 0) {
+            return;
         }
 
         let html = '';
@@ -650,9 +1050,15 @@ export class UserInteractions
             } else {
                 let labelledFeatures = features.filter(feature => ('label' in feature.properties
                                                              && (!('tooltip' in feature.properties)
-                                                                || feature.properties.tooltip)))
-                                               .sort((a, b) => (a.properties.area - b.properties.area));
+                                                                || feature.properties.tooltip)));
                 if (labelledFeatures.length > 0) {
+                    // Only use features in the uppermost layer, as rendered
+                    // features are given from the top of the map down
+                    const topLayer = this._layerManager.styleLayerLayer(labelledFeatures[0].layer.id);
+                    labelledFeatures = labelledFeatures.filter(feature =>
+                        (this._layerManager.styleLayerLayer(feature.layer.id) === topLayer))
+                                                       .sort((a, b) => (a.properties.area - b.properties.area));
+
                     // Favour group features at low zoom levels
                     const zoomLevel = this._map.getZoom();
                     const groupFeatures = labelledFeatures.filter(feature => (feature.properties.group
@@ -679,7 +1085,9 @@ export class UserInteractions
                         html = `<div id="info-control-info">${htmlList.join('\n')}</div>`;
                     } else {
                         const feature = labelledFeatures[0];
-                        html = this.tooltipHtml_(feature.properties);
+                        if (this._flatmap.labelMode !== 'labels') {
+                            html = this.tooltipHtml_(feature.properties);
+                        }
                         this.activateFeature_(feature);
                         if ('type' in feature.properties
                           && feature.properties.type === 'nerve') {
@@ -710,17 +1118,64 @@ export class UserInteractions
         }
     }
 
+    mouseEnterFeature_(featureId, lngLat)
+    //===================================
+    {
+        if (this._lastFeatureMouseEntered !== featureId) {
+            if (this._lastFeatureMouseEntered !== null) {
+                this._flatmap.featureEvent('mouseleave', this._lastFeatureMouseEntered, lngLat);
+            }
+            if (featureId !== null) {
+                this._flatmap.featureEvent('mouseenter', featureId, lngLat);
+            }
+            this._lastFeatureMouseEntered = featureId;
+        }
+    }
+
+    mouseOutEvent_(event)
+    //===================
+    {
+        // The mouse has left the map
+
+        if (!this._modal) {
+            this.removeTooltip_();
+            this.resetActiveFeatures_();
+            this.mouseEnterFeature_(null, event.lngLat);
+        }
+    }
+
+    eventFeatureId_(event)
+    //====================
+    {
+        // The uppermost feature with an id at the event's point. We query
+        // the map as a click or touch needn't follow a `mousemove`
+
+        const feature = this.renderedFeatures_(event.point)
+                            .find(feature => ('id' in feature.properties));
+        return (feature !== undefined) ? this.featureId_(feature) : null;
+    }
+
     clickEvent_(event)
     //================
     {
+        // Shift-click toggles whether a feature is selected
+
+        if (event.originalEvent.shiftKey) {
+            const featureId = this.eventFeatureId_(event);
+            if (featureId !== null) {
+                this.toggleSelection_(featureId);
+            }
+            return;
+        }
         this.clearActiveMarker_();
         this.unhighlightFeatures_();
+        const eventFeatureId = this.eventFeatureId_(event);
+        if (eventFeatureId !== null) {
+            this._flatmap.featureEvent('click', eventFeatureId, event.lngLat);
+        }
         if (this._activeFeatures.length > 0) {
             const feature = this._activeFeatures[0];
             if ('properties' in feature) {
-                if ('models' in feature.properties) {
-                    this._flatmap.featureEvent('click', feature.properties.models);
-                }
                 if (this._pathways.isNode(feature.properties.featureId)) {
                     for (const featureId of this._pathways.pathFeatureIds(feature.properties.featureId)) {
                         this.highlightFeature_(this.mapFeature_(featureId));
@@ -730,6 +1185,15 @@ export class UserInteractions
         }
     }
 
+    doubleClickEvent_(event)
+    //======================
+    {
+        const eventFeatureId = this.eventFeatureId_(event);
+        if (eventFeatureId !== null) {
+            this._flatmap.featureEvent('dblclick', eventFeatureId, event.lngLat);
+        }
+    }
+
     activateNerveFeatures_(nerveId)
     //=============================
     {
@@ -754,6 +1218,10 @@ export class UserInteractions
         }
 
         this._disabledPathFeatures = true;
+        this._pathFilter = {
+            pathTypes: Array.isArray(pathTypes) ? pathTypes.slice() : [pathTypes],
+            enable: enable
+        };
     }
 
     //==============================================================================
@@ -763,6 +1231,14 @@ export class UserInteractions
     addMarker(anatomicalId, markerType='')
     //====================================
     {
+        return this.addMarker_(anatomicalId, markerType, -1);
+    }
+
+    addMarker_(anatomicalId, markerType, savedMarkerId)
+    //=================================================
+    {
+        // Restored markers keep the identifier they were saved with
+
         const featureIds = this._flatmap.featureIdsForModel(anatomicalId);
         let markerId = -1;
 
@@ -770,8 +1246,18 @@ export class UserInteractions
             const ann = this._flatmap.annotation(featureId);
             if (!('marker' in ann)) {
                 if (markerId === -1) {
-                    this._lastMarkerId += 1;
-                    markerId = this._lastMarkerId;
+                    if (savedMarkerId === -1) {
+                        this._lastMarkerId += 1;
+                        markerId = this._lastMarkerId;
+                    } else {
+                        markerId = savedMarkerId;
+                        this._lastMarkerId = Math.max(this._lastMarkerId, markerId);
+                    }
+                    this._markerDetails.set(markerId, {
+                        id: markerId,
+                        models: anatomicalId,
+                        type: markerType
+                    });
                 }
 
                 const markerElement = document.createElement('div');
@@ -809,6 +1295,7 @@ export class UserInteractions
             marker.remove();
         }
         this._markerIdByMarker.clear();
+        this._markerDetails.clear();
     }
 
     markerMouseEvent_(marker, anatomicalId, event)
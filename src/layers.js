@@ -22,11 +22,92 @@ limitations under the License.
 
 //==============================================================================
 
+import {LayerSwitcherControl} from './controls.js';
+
 import * as style from './styling.js';
 import * as utils from './utils.js';
 
 //==============================================================================
 
+// Inactive layers are dimmed by scaling the opacity of their style layers,
+// on top of any opacity set for the layer
+
+const INACTIVE_OPACITY_FACTOR = 0.3;
+
+const OPACITY_PROPERTIES = {
+    'fill': ['fill-opacity'],
+    'line': ['line-opacity'],
+    'raster': ['raster-opacity'],
+    'symbol': ['icon-opacity', 'text-opacity']
+};
+
+// Background layers are drawn at reduced opacity beneath their parent layer
+
+const BACKGROUND_OPACITY_FACTOR = 0.4;
+
+const BACKGROUND_STYLES = [
+    style.BodyLayer,
+    style.FeatureDividerLineLayer,
+    style.FeatureFillLayer,
+    style.FeatureDividerBorderLayer,
+    style.FeatureBorderLayer,
+    style.FeatureLineLayer
+];
+
+function scaledOpacity(opacity, factor)
+//=====================================
+{
+    if (factor === 1) {
+        return opacity;
+    } else if (typeof opacity === 'number') {
+        return factor*opacity;
+    }
+
+    // Zoom expressions must be at the top level so instead scale their outputs
+
+    if (Array.isArray(opacity) && ['interpolate', 'step'].indexOf(opacity[0]) >= 0) {
+        const firstOutput = (opacity[0] === 'interpolate') ? 4 : 2;
+        return opacity.map((value, index) => (index >= firstOutput && (index - firstOutput) % 2 === 0)
+                                                ? scaledOpacity(value, factor)
+                                                : value);
+    }
+    return ['*', factor, opacity];
+}
+
+//==============================================================================
+
+/**
+ * Where overlay layers can be added to a map, from the top of the map down:
+ *
+ * * ``top`` -- above everything.
+ * * ``below-labels`` -- below a layer's feature labels and above its paths.
+ * * ``above-features`` -- above a layer's features and below its paths.
+ * * ``below-features`` -- below a layer's features and above its source image.
+ * * ``bottom`` -- below all layers and above the map's background.
+ */
+export const OVERLAY_POSITIONS = Object.freeze([
+    'top',
+    'below-labels',
+    'above-features',
+    'below-features',
+    'bottom'
+]);
+
+/**
+ * How features are named on a map:
+ *
+ * * ``labels`` -- by labels drawn on the map.
+ * * ``tooltips`` -- by a tooltip when the mouse is over a feature.
+ * * ``both`` -- by labels and tooltips.
+ */
+export const LABEL_MODES = Object.freeze([
+    'labels',
+    'tooltips',
+    'both'
+]);
+
+//==============================================================================
+
 class MapFeatureLayer
 {
     constructor(flatmap, layer)
@@ -34,6 +115,25 @@ class MapFeatureLayer
         this._map = flatmap.map;
         this._id = layer.id;
         this._styleLayerIds = [];
+        this._interactiveStyleLayerIds = [];
+        this._opacities = [];
+        this._active = true;
+        this._opacity = 1;
+        this._visible = true;
+        this._imageStyleLayerId = null;
+        this._imageOpacity = 1;
+        this._imageVisible = true;
+        this._theme = flatmap.theme;
+        this._themedStyles = [];
+        this._pathTypes = flatmap.pathTypeRegistry;
+        this._colourPathStyleLayerIds = [];     // Shown when paths are encoded by colour
+        this._dashPathStyleLayerIds = [];       // Shown when paths are also encoded by dashes
+        this._labelStyleLayerIds = [];
+        this._labelsVisible = true;
+
+        for (const backgroundLayer of (layer.backgroundLayers || [])) {
+            this.addBackgroundLayer_(backgroundLayer.id, flatmap.details['image_layer']);
+        }
 
         this.addStyleLayer_(style.BodyLayer.style);
 
@@ -41,17 +141,44 @@ class MapFeatureLayer
             this.addImageLayer_();
         }
 
-        this.addStyleLayer_(style.FeatureDividerLineLayer.style);
+        // Where overlay layers go, as the style layer they go under
+
+        this._insertionPoints = {};
+        this._insertionPoints['below-features'] = this.addStyleLayer_(style.FeatureDividerLineLayer.style);
         this.addStyleLayer_(style.FeatureFillLayer.style);
         this.addStyleLayer_(style.FeatureDividerBorderLayer.style);
         this.addStyleLayer_(style.FeatureBorderLayer.style);
-        this.addStyleLayer_(style.FeatureLineLayer.style);
+        this.addStyleLayer_(style.FeatureLineLayer.style, 'features', this._pathTypes);
+
+        const firstPathStyleLayerId = this.addPathwayStyleLayers_();
+
+        // Outline features with annotation issues
+
+        this.addThemedStyleLayer_({
+            styleFunction: style.AnnotationIssueLayer.style,
+            sourceLayer: `${this._id}-features`,
+            interactive: false
+        });
+        if (firstPathStyleLayerId !== null) {
+            this.addThemedStyleLayer_({
+                styleFunction: style.AnnotationIssueLayer.style,
+                sourceLayer: `${this._id}-pathways`,
+                interactive: false
+            });
+        }
 
-        this.addPathwayStyleLayers_();
+        // Labels in upper style layers are placed first, so the labels
+        // of large features go above those of small ones to win collisions.
+        // The older ``tooltips`` option names small features with tooltips only
 
-        this.addStyleLayer_(style.FeatureLargeSymbolLayer.style);
         if (!flatmap.options.tooltips) {
-            this.addStyleLayer_(style.FeatureSmallSymbolLayer.style);
+            this._labelStyleLayerIds.push(this.addStyleLayer_(style.FeatureSmallSymbolLayer.style));
+        }
+        this._labelStyleLayerIds.push(this.addStyleLayer_(style.FeatureLargeSymbolLayer.style));
+        this._insertionPoints['below-labels'] = this._labelStyleLayerIds[0];
+        this._insertionPoints['above-features'] = firstPathStyleLayerId || this._insertionPoints['below-labels'];
+        if (flatmap.labelMode === 'tooltips') {
+            this.showLabels(false);
         }
     }
 
@@ -61,16 +188,204 @@ class MapFeatureLayer
         return this._id;
     }
 
+    get active()
+    //==========
+    {
+        return this._active;
+    }
+
+    get styleLayerIds()
+    //=================
+    {
+        return this._styleLayerIds;
+    }
+
+    /**
+     * Style layers with features that respond to the mouse.
+     */
+    get interactiveStyleLayerIds()
+    //============================
+    {
+        return this._interactiveStyleLayerIds;
+    }
+
+    get bottomStyleLayerId()
+    //======================
+    {
+        return this._styleLayerIds[0];
+    }
+
+    /**
+     * The style layer showing the layer's source image, or ``null``
+     * if the layer has no image.
+     */
+    get imageStyleLayerId()
+    //=====================
+    {
+        return this._imageStyleLayerId;
+    }
+
+    get opacity()
+    //===========
+    {
+        return this._opacity;
+    }
+
+    get visible()
+    //===========
+    {
+        return this._visible;
+    }
+
+    activate()
+    //========
+    {
+        this._active = true;
+        this.setOpacities_();
+    }
+
+    deactivate()
+    //==========
+    {
+        this._active = false;
+        this.setOpacities_();
+    }
+
+    setOpacity(opacity)
+    //=================
+    {
+        this._opacity = Math.max(0, Math.min(opacity, 1));
+        this.setOpacities_();
+    }
+
+    setVisibility(visible)
+    //====================
+    {
+        this._visible = visible;
+        for (const styleLayerId of this._styleLayerIds) {
+            this.setStyleLayerVisibility_(styleLayerId);
+        }
+    }
+
+    setImageOpacity(opacity)
+    //======================
+    {
+        this._imageOpacity = Math.max(0, Math.min(opacity, 1));
+        this.setOpacities_();
+    }
+
+    setImageVisibility(visible)
+    //=========================
+    {
+        this._imageVisible = visible;
+        if (this._imageStyleLayerId !== null) {
+            this.setStyleLayerVisibility_(this._imageStyleLayerId);
+        }
+    }
+
+    /**
+     * Show the path lines for how paths are currently encoded.
+     */
+    showPathEncoding()
+    //================
+    {
+        for (const styleLayerId of this._colourPathStyleLayerIds.concat(this._dashPathStyleLayerIds)) {
+            this.setStyleLayerVisibility_(styleLayerId);
+        }
+    }
+
+    showLabels(visible)
+    //=================
+    {
+        this._labelsVisible = visible;
+        for (const styleLayerId of this._labelStyleLayerIds) {
+            this.setStyleLayerVisibility_(styleLayerId);
+        }
+    }
+
+    setStyleLayerVisibility_(styleLayerId)
+    //====================================
+    {
+        const encoding = this._pathTypes.encoding;
+        const visible = this._visible
+                     && (this._imageVisible || styleLayerId !== this._imageStyleLayerId)
+                     && (this._labelsVisible || this._labelStyleLayerIds.indexOf(styleLayerId) < 0)
+                     && (encoding === 'colour' || this._colourPathStyleLayerIds.indexOf(styleLayerId) < 0)
+                     && (encoding === 'dash' || this._dashPathStyleLayerIds.indexOf(styleLayerId) < 0);
+        this._map.setLayoutProperty(styleLayerId, 'visibility', visible ? 'visible' : 'none');
+    }
+
+    setOpacities_()
+    //=============
+    {
+        const factor = this._active ? this._opacity : this._opacity*INACTIVE_OPACITY_FACTOR;
+        for (const opacity of this._opacities) {
+            const imageFactor = (opacity.styleLayerId === this._imageStyleLayerId) ? this._imageOpacity : 1;
+            this._map.setPaintProperty(opacity.styleLayerId, opacity.property,
+                                       scaledOpacity(opacity.value, factor*imageFactor));
+        }
+    }
+
+    addStyleLayerId_(styleLayer, interactive=true)
+    //============================================
+    {
+        this._styleLayerIds.push(styleLayer.id);
+        if (interactive) {
+            this._interactiveStyleLayerIds.push(styleLayer.id);
+        }
+
+        // Remember opacities so we can dim the layer when it's inactive
+
+        const paint = styleLayer.paint || {};
+        for (const property of (OPACITY_PROPERTIES[styleLayer.type] || [])) {
+            this._opacities.push({
+                styleLayerId: styleLayer.id,
+                property: property,
+                value: (property in paint) ? paint[property] : 1
+            });
+        }
+    }
+
     addImageLayer_()
     //==============
     {
-        const styleLayer = style.ImageLayer.style(this._id);
-        if (styleLayer) {
-            this._map.addLayer(styleLayer);
-            this._styleLayerIds.push(styleLayer.id);
-            return styleLayer.id;
+        if (!this._map.getSource(`${this._id}-image`)) {
+            return null;
+        }
+        this._imageStyleLayerId = this.addThemedStyleLayer_({
+            styleFunction: style.ImageLayer.style,
+            sourceLayer: this._id
+        });
+        return this._imageStyleLayerId;
+    }
+
+    addBackgroundLayer_(layerId, imageLayer)
+    //======================================
+    {
+        // A background layer's features are context for our own so
+        // are faded and don't respond to the mouse
+
+        const backgroundStyle = {
+            interactive: false,
+            opacityFactor: BACKGROUND_OPACITY_FACTOR
+        };
+        if (imageLayer && this._map.getSource(`${layerId}-image`)) {
+            this.addThemedStyleLayer_(Object.assign({
+                styleFunction: style.ImageLayer.style,
+                sourceLayer: layerId
+            }, backgroundStyle));
+        }
+        if (this._map.getSource('vector-tiles')
+                     .vectorLayerIds
+                     .indexOf(`${layerId}-features`) >= 0) {
+            for (const layerStyle of BACKGROUND_STYLES) {
+                this.addThemedStyleLayer_(Object.assign({
+                    styleFunction: layerStyle.style,
+                    sourceLayer: `${layerId}-features`,
+                    args: [this._pathTypes]
+                }, backgroundStyle));
+            }
         }
-        return null;
     }
 
     addPathwayStyleLayers_()
@@ -79,31 +394,155 @@ class MapFeatureLayer
         if (this._map.getSource('vector-tiles')
                      .vectorLayerIds
                      .indexOf(`${this._id}-pathways`) >= 0) {
-            this.addStyleLayer_(style.FeatureLineLayer.style, 'pathways');
-            this.addStyleLayer_(style.FeatureLineDashLayer.style, 'pathways');
+            this._colourPathStyleLayerIds.push(
+                this.addStyleLayer_(style.FeatureLineLayer.style, 'pathways', this._pathTypes),
+                this.addStyleLayer_(style.FeatureLineDashLayer.style, 'pathways', this._pathTypes));
+            for (const pathType of this._pathTypes.types) {
+                this._dashPathStyleLayerIds.push(
+                    this.addStyleLayer_(style.PathTypeLineLayer.style, 'pathways', this._pathTypes, pathType.type));
+            }
+            this._dashPathStyleLayerIds.push(
+                this.addStyleLayer_(style.UnknownPathTypeLineLayer.style, 'pathways', this._pathTypes));
             this.addStyleLayer_(style.NervePolygonLayer.style, 'pathways');
             this.addStyleLayer_(style.FeatureNerveLayer.style, 'pathways');
+            this.showPathEncoding();
+            return this._colourPathStyleLayerIds[0];
         }
+        return null;
     }
 
     addStyleLayer_(styleFunction, source='features', ...args)
     //=======================================================
     {
-        const styleLayer = styleFunction(`${this._id}-${source}`, ...args);
+        return this.addThemedStyleLayer_({
+            styleFunction: styleFunction,
+            sourceLayer: `${this._id}-${source}`,
+            args: args
+        });
+    }
+
+    /**
+     * Add a style layer, remembering how it was made so that it can be
+     * restyled when the map's theme changes.
+     *
+     * @param      {Object}    themedStyle
+     * @param      {Function}  themedStyle.styleFunction  Called with the source layer,
+     *                                                    theme and ``args``
+     * @param      {string}    themedStyle.sourceLayer
+     * @param      {Array}     [themedStyle.args=[]]
+     * @param      {boolean}   [themedStyle.interactive=true]
+     * @param      {number}    [themedStyle.opacityFactor=1]  Scales the layer's opacity
+     * @return     {string|null}  The id of the style layer
+     */
+    addThemedStyleLayer_(themedStyle)
+    //===============================
+    {
+        themedStyle = Object.assign({
+            args: [],
+            interactive: true,
+            opacityFactor: 1
+        }, themedStyle);
+        const styleLayer = this.themedStyleLayer_(themedStyle);
         if (styleLayer) {
             this._map.addLayer(styleLayer);
-            this._styleLayerIds.push(styleLayer.id);
+            this.addStyleLayerId_(styleLayer, themedStyle.interactive);
+            this._themedStyles.push(themedStyle);
             return styleLayer.id;
         }
         return null;
     }
 
-    move(beforeLayer)
-    //===============
+    themedStyleLayer_(themedStyle)
+    //============================
+    {
+        const styleLayer = themedStyle.styleFunction(themedStyle.sourceLayer, this._theme,
+                                                     ...themedStyle.args);
+        if (styleLayer && themedStyle.opacityFactor !== 1) {
+            styleLayer.paint = styleLayer.paint || {};
+            for (const property of (OPACITY_PROPERTIES[styleLayer.type] || [])) {
+                const opacity = (property in styleLayer.paint) ? styleLayer.paint[property] : 1;
+                styleLayer.paint[property] = scaledOpacity(opacity, themedStyle.opacityFactor);
+            }
+        }
+        return styleLayer;
+    }
+
+    setTheme(theme)
+    //=============
+    {
+        this._theme = theme;
+        this.restyle();
+    }
+
+    /**
+     * Restyle the layer's features, after its theme or path colours change.
+     */
+    restyle()
+    //=======
+    {
+        for (const themedStyle of this._themedStyles) {
+            const styleLayer = this.themedStyleLayer_(themedStyle);
+            const paint = styleLayer.paint || {};
+            const opacityProperties = OPACITY_PROPERTIES[styleLayer.type] || [];
+            for (const [property, value] of Object.entries(paint)) {
+                if (opacityProperties.indexOf(property) < 0) {
+                    this._map.setPaintProperty(styleLayer.id, property, value);
+                }
+            }
+
+            // Opacities are set below, allowing for dimming
+
+            for (const opacity of this._opacities) {
+                if (opacity.styleLayerId === styleLayer.id) {
+                    opacity.value = (opacity.property in paint) ? paint[opacity.property] : 1;
+                }
+            }
+        }
+        this.setOpacities_();
+    }
+
+    /**
+     * Add an overlay style layer, which then moves and is shown and hidden
+     * with our own style layers.
+     *
+     * @param      {Object}  styleLayer  A Mapbox style layer
+     * @param      {string}  position    One of ``below-features``, ``above-features``
+     *                                   or ``below-labels``
+     * @return     {boolean}  ``false`` if Mapbox rejected the style layer
+     */
+    addOverlay(styleLayer, position)
+    //==============================
+    {
+        const beforeStyleLayerId = this._insertionPoints[position];
+        this._map.addLayer(styleLayer, beforeStyleLayerId);
+        if (this._map.getLayer(styleLayer.id) === undefined) {
+            return false;
+        }
+        this._styleLayerIds.splice(this._styleLayerIds.indexOf(beforeStyleLayerId), 0, styleLayer.id);
+        if (!this._visible) {
+            this._map.setLayoutProperty(styleLayer.id, 'visibility', 'none');
+        }
+        return true;
+    }
+
+    removeOverlay(styleLayerId)
+    //=========================
+    {
+        const index = this._styleLayerIds.indexOf(styleLayerId);
+        if (index >= 0) {
+            this._styleLayerIds.splice(index, 1);
+            this._map.removeLayer(styleLayerId);
+        }
+    }
+
+    move(beforeStyleLayerId)
+    //======================
     {
-        const beforeTopStyleLayerId = beforeLayer ? beforeLayer.topStyleLayerId : undefined;
+        // Move all our style layers, keeping their order, to be under
+        // `beforeStyleLayerId` or to the top of the map
+
         for (const styleLayerId of this._styleLayerIds) {
-            this._map.moveLayer(styleLayerId, beforeTopStyleLayerId);
+            this._map.moveLayer(styleLayerId, beforeStyleLayerId);
         }
     }
 }
@@ -120,12 +559,23 @@ export class LayerManager
         this._mapLayers = new Map;
         this._activeLayers = [];
         this._activeLayerNames = [];
+        this._layerOrder = [];      // Lowest first
+        this._styleLayerLayers = new Map();
         this._selectableLayerId = '';
         this._selectableLayerCount = 0;
+        this._imageVisible = true;
+        this._imageOpacity = 1;
+        this._imagesHidden = false;
+        this._overlays = new Map();         // styleLayerId: {position, layer}
+        this._topOverlayIds = [];           // Lowest first
         if ('background' in flatmap.options) {
             this._map.addLayer(style.BackgroundLayer.style(flatmap.options.background));
         } else {
-            this._map.addLayer(style.BackgroundLayer.style('white'));
+            this._map.addLayer(style.BackgroundLayer.style(flatmap.theme.background));
+        }
+        this._switcher = switcher ? new LayerSwitcherControl(flatmap, this) : null;
+        if (this._switcher !== null) {
+            this._map.addControl(this._switcher);
         }
     }
 
@@ -144,10 +594,161 @@ export class LayerManager
         const layerId = this._flatmap.mapLayerId(layer.id);
         this._layers.set(layerId, layers);
 
+        // Layers start off active
+
+        this._activeLayers.push(layers);
+        this._activeLayerNames.push(layers.id);
+
+        this._layerOrder.push(layers);
+        for (const styleLayerId of layers.styleLayerIds) {
+            this._styleLayerLayers.set(styleLayerId, layers);
+        }
+
         if (layer.selectable) {
             this._selectableLayerId = layerId;
             this._selectableLayerCount += 1;
         }
+        this.layersChanged_();
+    }
+
+    layersChanged_()
+    //==============
+    {
+        if (this._switcher !== null) {
+            this._switcher.update();
+        }
+    }
+
+    /**
+     * Details of the map's layers, in the order they were added, for
+     * a layer switcher.
+     *
+     * @return     {Array.<{id: string, description: string, active: boolean, visible: boolean, opacity: number}>}
+     */
+    layerDetails()
+    //============
+    {
+        const details = [];
+        for (const [name, layer] of this._mapLayers.entries()) {
+            const mapLayer = this._layers.get(this._flatmap.mapLayerId(name));
+            details.push({
+                id: name,
+                description: layer.description || name,
+                active: mapLayer.active,
+                visible: mapLayer.visible,
+                opacity: mapLayer.opacity
+            });
+        }
+        return details;
+    }
+
+    setOpacity(layerId, opacity)
+    //==========================
+    {
+        const layer = this._layers.get(layerId);
+        if (layer !== undefined) {
+            layer.setOpacity(opacity);
+        }
+    }
+
+    setVisibility(layerId, visible)
+    //=============================
+    {
+        const layer = this._layers.get(layerId);
+        if (layer !== undefined) {
+            layer.setVisibility(visible);
+            this.layersChanged_();
+        }
+    }
+
+    /**
+     * The ids of the style layers showing the map's source images,
+     * lowest first.
+     */
+    get imageStyleLayerIds()
+    //======================
+    {
+        return this._layerOrder.map(layer => layer.imageStyleLayerId)
+                               .filter(styleLayerId => styleLayerId !== null);
+    }
+
+    /**
+     * Whether the map's source images are shown and their opacity.
+     *
+     * @return     {{visible: boolean, opacity: number}}
+     */
+    imageDetails()
+    //============
+    {
+        return {
+            visible: this._imageVisible,
+            opacity: this._imageOpacity
+        };
+    }
+
+    setImageOpacity(opacity)
+    //======================
+    {
+        this._imageOpacity = Math.max(0, Math.min(opacity, 1));
+        for (const layer of this._layers.values()) {
+            layer.setImageOpacity(this._imageOpacity);
+        }
+    }
+
+    setImageVisibility(visible)
+    //=========================
+    {
+        this._imageVisible = visible;
+        this.showImages_();
+    }
+
+    /**
+     * Take the source images off the map, without changing whether they are
+     * meant to be shown, while they are being shown elsewhere.
+     *
+     * @param      {boolean}  hidden
+     */
+    hideImages(hidden)
+    //================
+    {
+        this._imagesHidden = hidden;
+        this.showImages_();
+    }
+
+    setTheme(theme)
+    //=============
+    {
+        for (const layer of this._layers.values()) {
+            layer.setTheme(theme);
+        }
+    }
+
+    /**
+     * Redraw paths after their colours or encoding change.
+     */
+    pathStylesChanged()
+    //=================
+    {
+        for (const layer of this._layers.values()) {
+            layer.restyle();
+            layer.showPathEncoding();
+        }
+    }
+
+    showLabels(visible)
+    //=================
+    {
+        for (const layer of this._layers.values()) {
+            layer.showLabels(visible);
+        }
+    }
+
+    showImages_()
+    //===========
+    {
+        for (const layer of this._layers.values()) {
+            layer.setImageVisibility(this._imageVisible && !this._imagesHidden);
+        }
     }
 
     get layers()
@@ -175,16 +776,56 @@ export class LayerManager
         return layer['queryable-nodes'];
     }
 
-    activate(layerId)
-    //===============
+    /**
+     * The ids of the style layers of active layers, for querying
+     * interactive features.
+     */
+    get activeStyleLayerIds()
+    //=======================
+    {
+        const styleLayerIds = [];
+        for (const layer of this._activeLayers) {
+            styleLayerIds.push(...layer.interactiveStyleLayerIds);
+        }
+        return styleLayerIds;
+    }
+
+    /**
+     * The ids of the map's layers, lowest first.
+     */
+    get layerOrder()
+    //==============
+    {
+        return this._layerOrder.map(layer => layer.id);
+    }
+
+    /**
+     * The layer a style layer belongs to, or ``undefined`` if it's
+     * not in a layer.
+     */
+    styleLayerLayer(styleLayerId)
+    //===========================
     {
+        return this._styleLayerLayers.get(styleLayerId);
+    }
+
+    activate(layerId, raise=true)
+    //===========================
+    {
+        // A layer is brought to the top when it becomes active, unless
+        // not to be raised. Re-activating a layer keeps the layers' order
+
         const layer = this._layers.get(layerId);
         if (layer !== undefined) {
             layer.activate();
             if (this._activeLayers.indexOf(layer) < 0) {
                 this._activeLayers.push(layer);
                 this._activeLayerNames.push(layer.id);
+                if (raise) {
+                    this.makeUppermost(layerId);
+                }
             }
+            this.layersChanged_();
         }
     }
 
@@ -196,37 +837,123 @@ export class LayerManager
             layer.deactivate();
             const index = this._activeLayers.indexOf(layer);
             if (index >= 0) {
-                delete this._activeLayers[index];
                 this._activeLayers.splice(index, 1);
-                delete this._activeLayerNames[index];
                 this._activeLayerNames.splice(index, 1);
             }
+            this.layersChanged_();
+        }
+    }
+
+    /**
+     * Add an overlay style layer at a named position in the map's stack.
+     *
+     * @param      {Object}  styleLayer  A Mapbox style layer
+     * @param      {string}  position  One of :attr:`OVERLAY_POSITIONS`
+     * @param      {string}  [layerId]  The layer that ``below-features``, ``above-features``
+     *                                  and ``below-labels`` are relative to, defaulting
+     *                                  to the uppermost
+     * @return     {boolean}  ``false`` if Mapbox rejected the style layer
+     */
+    addOverlay(styleLayer, position, layerId)
+    //=======================================
+    {
+        let layer = null;
+        if (position === 'top') {
+            this._map.addLayer(styleLayer);
+        } else if (position === 'bottom') {
+            // Directly above the map's background
+
+            this._map.addLayer(styleLayer, this._layerOrder.length ? this._layerOrder[0].bottomStyleLayerId
+                                                                   : this._topOverlayIds[0]);
+        } else {
+            layer = (layerId !== undefined) ? this._layers.get(layerId)
+                                            : this._layerOrder[this._layerOrder.length - 1];
+            if (layer === undefined) {
+                throw new TypeError(`Unknown layer: '${layerId}'`);
+            }
+            if (!layer.addOverlay(styleLayer, position)) {
+                return false;
+            }
+        }
+        if (this._map.getLayer(styleLayer.id) === undefined) {
+            return false;
+        }
+        if (position === 'top') {
+            this._topOverlayIds.push(styleLayer.id);
+        }
+        this._overlays.set(styleLayer.id, {position: position, layer: layer});
+        return true;
+    }
+
+    hasOverlay(styleLayerId)
+    //======================
+    {
+        return this._overlays.has(styleLayerId);
+    }
+
+    removeOverlay(styleLayerId)
+    //=========================
+    {
+        const overlay = this._overlays.get(styleLayerId);
+        if (overlay !== undefined) {
+            if (overlay.layer !== null) {
+                overlay.layer.removeOverlay(styleLayerId);
+            } else {
+                this._map.removeLayer(styleLayerId);
+                const index = this._topOverlayIds.indexOf(styleLayerId);
+                if (index >= 0) {
+                    this._topOverlayIds.splice(index, 1);
+                }
+            }
+            this._overlays.delete(styleLayerId);
+        }
+    }
+
+    reorder_(layerId, position)
+    //=========================
+    {
+        // Move a layer to `position` in the stack, given as a function of
+        // the layer's current position and the number of layers
+
+        const layer = this._layers.get(layerId);
+        if (layer !== undefined) {
+            const index = this._layerOrder.indexOf(layer);
+            const newIndex = Math.max(0, Math.min(position(index, this._layerOrder.length),
+                                                  this._layerOrder.length - 1));
+            if (newIndex !== index) {
+                this._layerOrder.splice(index, 1);
+                this._layerOrder.splice(newIndex, 0, layer);
+                // Keep below any overlays at the top of the map
+
+                const beforeLayer = this._layerOrder[newIndex + 1];
+                layer.move((beforeLayer !== undefined) ? beforeLayer.bottomStyleLayerId
+                                                       : this._topOverlayIds[0]);
+            }
         }
     }
 
     makeUppermost(layerId)
     //====================
     {
-        // position before top layer
+        this.reorder_(layerId, (index, count) => count - 1);
     }
 
     makeLowest(layerId)
     //=================
     {
-        // position after bottom layer (before == undefined)
+        this.reorder_(layerId, (index, count) => 0);
     }
 
-
     lower(layerId)
     //============
     {
-        // position before second layer underneath...
+        this.reorder_(layerId, (index, count) => index - 1);
     }
 
     raise(layerId)
     //============
     {
-        // position before layer above...
+        this.reorder_(layerId, (index, count) => index + 1);
     }
 }
 
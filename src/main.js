@@ -46,6 +46,7 @@ window.onload = async function() {
                                 .map(o => o.option).join('');
 
     let currentMap = null;
+    let loadController = null;
 
     function markerPopupContent()
     {
@@ -70,30 +71,66 @@ window.onload = async function() {
         return;
     }
 
-    const loadMap = (id) => {
+    const loadMap = (id, bundle=null) => {
+        // Abandon any map that is still loading
+
+        if (loadController !== null) {
+            loadController.abort();
+        }
+        loadController = new AbortController();
+
         if (currentMap !== null) {
             currentMap.close();
+            currentMap = null;
         }
-        mapManager.loadMap(id, 'map-canvas', (event, options) => callback(event, options), {
+        const load = (bundle !== null) ? mapManager.loadMapFromBundle.bind(mapManager, bundle)
+                   : (id === null) ? mapManager.loadMapFromUrl.bind(mapManager)
+                   : mapManager.loadMap.bind(mapManager, id);
+        load('map-canvas', (event, options) => callback(event, options), {
+            signal: loadController.signal,
             tooltips: true,
             background: '#EEF',
             //debug: true,
             minimap: { width: '10%', background: '#FCC' },
             navigationControl: 'top-right',
             searchable: true,
-            featureInfo: true
+            featureInfo: true,
+            errorBanner: true,
+            viewsControl: true,
+            layerSwitcher: true,
+            imageControl: true,
+            urlState: true
         }).then(map => {
+            if (map === null) {
+                // The page's URL doesn't have a map
+
+                loadMap(selector.options[0].value);
+                return;
+            }
             currentMap = map;
             map.addMarker('UBERON:0000948'); // Heart
             map.addMarker('UBERON:0002048'); // Lung
             map.addMarker('UBERON:0000945'); // Stomach
             map.addMarker('UBERON:0001155'); // Colon
             map.addMarker('UBERON:0001255'); // Bladder
+        }).catch(error => {
+            if (error.name !== 'AbortError') {
+                console.log(error);
+            }
         });
     };
 
     selector.onchange = (e) => loadMap(e.target.value);
 
+    const bundleInput = document.getElementById('bundle-input');
+    bundleInput.onchange = (e) => {
+        if (e.target.files.length > 0) {
+            loadMap(e.target.files[0].name, e.target.files[0]);
+        }
+    };
+
+    // Open the map and view given in the page's URL, otherwise the first map
+
     selector.options[0].selected = true;
-    loadMap(selector.options[0].value);
+    loadMap(null);
 };
@@ -0,0 +1,337 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+const DATABASE_VERSION = 1;
+
+const CATALOGUE_STORE = 'catalogue';
+const RESOURCE_STORE = 'resources';
+
+// Resources requested by Mapbox that are cached along with a map
+
+const CACHED_RESOURCE_TYPES = ['Source', 'Tile', 'Glyphs'];
+
+//==============================================================================
+
+function requestPromise(request)
+//==============================
+{
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function transactionPromise(transaction)
+//======================================
+{
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+//==============================================================================
+
+function buildCreated(map)
+//========================
+{
+    // Maps without a creation time are cached under an empty time
+
+    return ('created' in map) ? map.created : '';
+}
+
+//==============================================================================
+
+/**
+ * A persistent cache of maps in the browser's IndexedDB.
+ *
+ * Each of a map's resources is keyed by the map's ``id`` and ``created`` time,
+ * so a cached build never needs to be refreshed and instead is removed when
+ * the map server's catalogue reports a different build of the map.
+ */
+export class MapCache
+{
+    constructor(name)
+    {
+        this._name = `flatmap-cache:${name}`;
+        this._db = null;
+    }
+
+    open_()
+    //=====
+    {
+        if (this._db === null) {
+            this._db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this._name, DATABASE_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore(CATALOGUE_STORE);
+                    const store = db.createObjectStore(RESOURCE_STORE, {
+                        keyPath: ['id', 'created', 'name']
+                    });
+                    store.createIndex('id', 'id');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this._db;
+    }
+
+    async get_(storeName, key)
+    //========================
+    {
+        const db = await this.open_();
+        const transaction = db.transaction(storeName, 'readonly');
+        return await requestPromise(transaction.objectStore(storeName).get(key));
+    }
+
+    async put_(storeName, value, key=null)
+    //====================================
+    {
+        const db = await this.open_();
+        const transaction = db.transaction(storeName, 'readwrite');
+        if (key === null) {
+            transaction.objectStore(storeName).put(value);
+        } else {
+            transaction.objectStore(storeName).put(value, key);
+        }
+        return await transactionPromise(transaction);
+    }
+
+    /**
+     * Remove everything from the cache.
+     */
+    async clear()
+    //===========
+    {
+        const db = await this.open_();
+        const transaction = db.transaction([CATALOGUE_STORE, RESOURCE_STORE], 'readwrite');
+        transaction.objectStore(CATALOGUE_STORE).clear();
+        transaction.objectStore(RESOURCE_STORE).clear();
+        return await transactionPromise(transaction);
+    }
+
+    async catalogue()
+    //===============
+    {
+        return await this.get_(CATALOGUE_STORE, 'maps');
+    }
+
+    async setCatalogue(maps)
+    //======================
+    {
+        await this.put_(CATALOGUE_STORE, maps, 'maps');
+        await this.invalidate_(maps);
+    }
+
+    async invalidate_(maps)
+    //=====================
+    {
+        // Remove cached builds that are no longer in the catalogue
+
+        const builds = new Map(maps.map(map => [map.id, buildCreated(map)]));
+        const db = await this.open_();
+        const transaction = db.transaction(RESOURCE_STORE, 'readwrite');
+        const request = transaction.objectStore(RESOURCE_STORE).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                const record = cursor.value;
+                if (builds.get(record.id) !== record.created) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            }
+        };
+        return await transactionPromise(transaction);
+    }
+
+    async getJSON(map, name)
+    //======================
+    {
+        const record = await this.get_(RESOURCE_STORE, [map.id, buildCreated(map), name]);
+        return (record !== undefined) ? record.data : undefined;
+    }
+
+    async putJSON(map, name, json)
+    //============================
+    {
+        return await this.put_(RESOURCE_STORE, {
+            id: map.id,
+            created: buildCreated(map),
+            name: name,
+            kind: 'json',
+            data: json
+        });
+    }
+
+    async putResource(map, url, blob)
+    //===============================
+    {
+        return await this.put_(RESOURCE_STORE, {
+            id: map.id,
+            created: buildCreated(map),
+            name: url,
+            kind: 'resource',
+            data: blob
+        });
+    }
+
+    /**
+     * Get the cached tiles and other Mapbox resources of a map.
+     *
+     * Blobs read from IndexedDB refer to the stored data rather than hold a
+     * copy of it, so only the blobs of resources Mapbox requests are read.
+     *
+     * @param      {Object}  map     The map's catalogue entry
+     * @return     {MapResources}
+     */
+    async mapResources(map)
+    //=====================
+    {
+        const db = await this.open_();
+        const transaction = db.transaction(RESOURCE_STORE, 'readonly');
+        const index = transaction.objectStore(RESOURCE_STORE).index('id');
+        const records = await requestPromise(index.getAll(IDBKeyRange.only(map.id)));
+        const created = buildCreated(map);
+        const blobs = new Map();
+        for (const record of records) {
+            if (record.created === created && record.kind === 'resource') {
+                blobs.set(record.name, record.data);
+            }
+        }
+        return new MapResources(this, map, blobs);
+    }
+}
+
+//==============================================================================
+
+/**
+ * Serve a map's tiles from the cache, adding tiles fetched from the
+ * map server to it.
+ */
+export class MapResources
+{
+    constructor(cache, map, blobs)
+    {
+        this._cache = cache;
+        this._map = map;
+        this._blobs = blobs;
+        this._objectUrls = new Map();      // Only made for resources that are requested
+        this._pendingUrls = new Set();
+        this._savedUrls = new Set();
+        this._saving = null;
+        this._cacheFailed = false;
+    }
+
+    /**
+     * Used as Mapbox's ``transformRequest`` option to redirect requests
+     * for cached resources.
+     */
+    transformRequest(url, resourceType)
+    //=================================
+    {
+        if (CACHED_RESOURCE_TYPES.indexOf(resourceType) >= 0) {
+            let objectUrl = this._objectUrls.get(url);
+            if (objectUrl === undefined && this._blobs.has(url)) {
+                objectUrl = URL.createObjectURL(this._blobs.get(url));
+                this._objectUrls.set(url, objectUrl);
+            }
+            if (objectUrl !== undefined) {
+                return { url: objectUrl };
+            } else if (!this._savedUrls.has(url) && !this._cacheFailed) {
+                this._pendingUrls.add(url);
+            }
+        }
+        return { url: url };
+    }
+
+    /**
+     * Save resources that Mapbox has requested since we were last called.
+     *
+     * Resources are read from the browser's HTTP cache, where Mapbox's requests
+     * have put them, rather than being downloaded again. Only one save runs at
+     * a time; calls made while saving wait for it to finish. Nothing more is
+     * saved once the cache fails.
+     */
+    saveResources()
+    //=============
+    {
+        if (this._saving === null) {
+            this._saving = this.saveResources_();
+        }
+        return this._saving;
+    }
+
+    async saveResources_()
+    //====================
+    {
+        try {
+            await this.savePendingResources_();
+        } finally {
+            this._saving = null;
+        }
+    }
+
+    async savePendingResources_()
+    //===========================
+    {
+        const urls = Array.from(this._pendingUrls);
+        this._pendingUrls.clear();
+        for (const url of urls) {
+            this._savedUrls.add(url);
+            let response;
+            try {
+                response = await fetch(url, {cache: 'force-cache'});
+            } catch (error) {
+                // We are probably offline, so try again next time
+                this._savedUrls.delete(url);
+                this._pendingUrls.add(url);
+                continue;
+            }
+            if (response.ok) {
+                try {
+                    await this._cache.putResource(this._map, url, await response.blob());
+                } catch (error) {
+                    this._cacheFailed = true;
+                    this._pendingUrls.clear();
+                    throw error;
+                }
+            }
+        }
+    }
+
+    close()
+    //=====
+    {
+        for (const objectUrl of this._objectUrls.values()) {
+            URL.revokeObjectURL(objectUrl);
+        }
+        this._objectUrls.clear();
+    }
+}
+
+//==============================================================================
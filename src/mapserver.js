@@ -22,11 +22,16 @@ limitations under the License.
 
 //==============================================================================
 
+import {BadFormatError, NetworkError, NotFoundError} from './errors.js';
+
+//==============================================================================
+
 export class MapServer
 {
-    constructor(url)
+    constructor(url, cache=null)
     {
         this._url = url;
+        this._cache = cache;
     }
 
     url(relativePath='')
@@ -36,21 +41,109 @@ export class MapServer
         return url.href;
     }
 
-    async loadJSON(relativePath)
-    //==========================
+    async loadJSON(relativePath, signal=null)
+    //=======================================
     {
         const url = this.url(relativePath);
-        const response = await fetch(url, {
+        const options = {
             method: 'GET',
             headers: {
                 "Accept": "application/json; charset=utf-8",
                 "Cache-Control": "no-store"
             }
-        });
-        if (!response.ok) {
-            throw new Error(`Cannot access ${url}`);
+        };
+        if (signal) {
+            options.signal = signal;
+        }
+        let response;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            throw new NetworkError(url, null, error);
+        }
+        if (response.status === 404) {
+            throw new NotFoundError(url);
+        } else if (!response.ok) {
+            throw new NetworkError(url, response.status);
+        }
+        try {
+            return await response.json();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            throw new BadFormatError(url, '', 'is not valid JSON');
+        }
+    }
+
+    /**
+     * Load the list of maps available from the server.
+     *
+     * When caching, the list is saved so that it is available offline, and
+     * cached builds of maps that are no longer listed are removed.
+     */
+    async loadCatalogue()
+    //===================
+    {
+        if (this._cache === null) {
+            return await this.loadJSON('');
+        }
+        let maps = null;
+        try {
+            maps = await this.loadJSON('');
+        } catch (error) {
+            const cachedMaps = await this.useCache_(() => this._cache.catalogue());
+            if (cachedMaps === undefined) {
+                throw error;
+            }
+            return cachedMaps;
+        }
+        await this.useCache_(() => this._cache.setCatalogue(maps));
+        return maps;
+    }
+
+    /**
+     * Load one of a map's JSON resources.
+     *
+     * When caching, a resource is only loaded from the server if it
+     * isn't already in the cache.
+     *
+     * @param      {Object}  map       The map's catalogue entry
+     * @param      {string}  endpoint  The resource's endpoint, relative to the map
+     * @param      {AbortSignal}  [signal=null]  Abort the request
+     */
+    async loadMapJSON(map, endpoint, signal=null)
+    //===========================================
+    {
+        const relativePath = `flatmap/${map.id}/${endpoint}`;
+        if (this._cache === null) {
+            return await this.loadJSON(relativePath, signal);
+        }
+        const name = (endpoint === '') ? 'index' : endpoint;
+        const cachedJSON = await this.useCache_(() => this._cache.getJSON(map, name));
+        if (cachedJSON !== undefined) {
+            return cachedJSON;
+        }
+        const json = await this.loadJSON(relativePath, signal);
+        await this.useCache_(() => this._cache.putJSON(map, name, json));
+        return json;
+    }
+
+    async useCache_(operation)
+    //========================
+    {
+        // The cache may be unavailable (e.g. in a private window or when over
+        // quota), in which case we carry on with what the server sends
+
+        try {
+            return await operation();
+        } catch (error) {
+            console.warn(`Map cache unavailable: ${error}`);
+            return undefined;
         }
-        return response.json();
     }
 }
 
@@ -0,0 +1,356 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+// A reader for MBTiles archives that are held in memory.
+//
+// An MBTiles archive is an SQLite database, which we read directly, with
+// either a ``tiles`` table or ``map`` and ``images`` tables joined by a
+// ``tiles`` view. See https://github.com/mapbox/mbtiles-spec and
+// https://www.sqlite.org/fileformat.html
+
+//==============================================================================
+
+import {gunzipSync} from 'fflate';
+
+//==============================================================================
+
+import {BadFormatError} from './errors.js';
+
+//==============================================================================
+
+const SQLITE_MAGIC = 'SQLite format 3\u0000';
+const SQLITE_HEADER_LENGTH = 100;
+
+const INTERIOR_TABLE_PAGE = 0x05;
+const LEAF_TABLE_PAGE = 0x0D;
+
+// Bytes used by each serial type of a record's values
+
+const SERIAL_TYPE_LENGTHS = [0, 1, 2, 3, 4, 6, 8, 8, 0, 0];
+
+// The whole world, for archives without bounds
+
+const WORLD_BOUNDS = [-180, -85.0511, 180, 85.0511];
+
+//==============================================================================
+
+function readVarint(bytes, offset)
+//================================
+{
+    // SQLite varints are big-endian and at most nine bytes long, with all
+    // eight bits of the ninth byte used. Values we need are less than 2^53
+    // so we can't use bitwise operators on the whole value
+
+    let value = 0;
+    for (let n = 0; n < 8; n++) {
+        const byte = bytes[offset + n];
+        value = value*128 + (byte & 0x7F);
+        if ((byte & 0x80) === 0) {
+            return [value, n + 1];
+        }
+    }
+    return [value*256 + bytes[offset + 8], 9];
+}
+
+function tableColumns(sql)
+//========================
+{
+    // Column names from a ``CREATE TABLE`` statement, in order
+
+    const definition = sql.slice(sql.indexOf('(') + 1, sql.lastIndexOf(')'));
+    const columns = [];
+    let depth = 0;
+    let start = 0;
+    for (let n = 0; n <= definition.length; n++) {
+        const c = definition[n];
+        if (c === '(') {
+            depth += 1;
+        } else if (c === ')') {
+            depth -= 1;
+        } else if (n === definition.length || (c === ',' && depth === 0)) {
+            const name = definition.slice(start, n).trim().split(/\s+/)[0];
+            if (!/^(constraint|primary|unique|check|foreign)$/i.test(name)) {
+                columns.push(name.replace(/^["'`[]|["'`\]]$/g, ''));
+            }
+            start = n + 1;
+        }
+    }
+    return columns;
+}
+
+//==============================================================================
+
+class SQLiteDatabase
+{
+    constructor(buffer)
+    {
+        this._bytes = new Uint8Array(buffer);
+        this._view = new DataView(buffer);
+        const magic = String.fromCharCode(...this._bytes.slice(0, SQLITE_MAGIC.length));
+        if (buffer.byteLength < SQLITE_HEADER_LENGTH || magic !== SQLITE_MAGIC) {
+            throw new BadFormatError('MBTiles archive', '', 'is not an SQLite database');
+        }
+        const pageSize = this._view.getUint16(16);
+        this._pageSize = (pageSize === 1) ? 65536 : pageSize;
+        this._usableSize = this._pageSize - this._view.getUint8(20);
+        if (this._view.getUint32(56) > 1) {
+            throw new BadFormatError('MBTiles archive', '', 'has text that is not UTF-8');
+        }
+        this._decoder = new TextDecoder();
+
+        // The schema table is rooted at the first page
+
+        this._schema = new Map();
+        for (const values of this.scanTable_(1)) {
+            this._schema.set(values[1], {
+                type: values[0],
+                rootPage: values[3],
+                sql: values[4] || ''
+            });
+        }
+    }
+
+    hasTable(name)
+    //============
+    {
+        const entry = this._schema.get(name);
+        return (entry !== undefined && entry.type === 'table');
+    }
+
+    /**
+     * The rows of a table, as objects keyed by column name.
+     */
+    rows(name)
+    //========
+    {
+        if (!this.hasTable(name)) {
+            throw new BadFormatError('MBTiles archive', name, 'is not a table');
+        }
+        const entry = this._schema.get(name);
+        const columns = tableColumns(entry.sql);
+        return this.scanTable_(entry.rootPage).map(values => {
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = (index < values.length) ? values[index] : null;
+            });
+            return row;
+        });
+    }
+
+    scanTable_(rootPage)
+    //==================
+    {
+        const rows = [];
+        const pages = [rootPage];
+        while (pages.length > 0) {
+            const page = pages.pop();
+            const pageOffset = (page - 1)*this._pageSize;
+            const headerOffset = pageOffset + ((page === 1) ? SQLITE_HEADER_LENGTH : 0);
+            const pageType = this._bytes[headerOffset];
+            const cellCount = this._view.getUint16(headerOffset + 3);
+            if (pageType === INTERIOR_TABLE_PAGE) {
+                pages.push(this._view.getUint32(headerOffset + 8));
+                for (let n = cellCount - 1; n >= 0; n--) {
+                    const cellOffset = pageOffset + this._view.getUint16(headerOffset + 12 + 2*n);
+                    pages.push(this._view.getUint32(cellOffset));
+                }
+            } else if (pageType === LEAF_TABLE_PAGE) {
+                for (let n = 0; n < cellCount; n++) {
+                    const cellOffset = pageOffset + this._view.getUint16(headerOffset + 8 + 2*n);
+                    const [payloadSize, sizeLength] = readVarint(this._bytes, cellOffset);
+                    const [, rowIdLength] = readVarint(this._bytes, cellOffset + sizeLength);
+                    rows.push(this.record_(this.payload_(cellOffset + sizeLength + rowIdLength, payloadSize)));
+                }
+            } else {
+                throw new BadFormatError('MBTiles archive', '', `has an unsupported page type (${pageType})`);
+            }
+        }
+        return rows;
+    }
+
+    payload_(offset, size)
+    //====================
+    {
+        // Large payloads continue in a chain of overflow pages
+
+        const usable = this._usableSize;
+        if (size <= usable - 35) {
+            return this._bytes.subarray(offset, offset + size);
+        }
+        const minLocal = Math.floor((usable - 12)*32/255) - 23;
+        const maxLocal = minLocal + ((size - minLocal) % (usable - 4));
+        const localSize = (maxLocal <= usable - 35) ? maxLocal : minLocal;
+        const payload = new Uint8Array(size);
+        payload.set(this._bytes.subarray(offset, offset + localSize));
+        let copied = localSize;
+        let overflowPage = this._view.getUint32(offset + localSize);
+        while (copied < size && overflowPage !== 0) {
+            const pageOffset = (overflowPage - 1)*this._pageSize;
+            const length = Math.min(size - copied, usable - 4);
+            payload.set(this._bytes.subarray(pageOffset + 4, pageOffset + 4 + length), copied);
+            copied += length;
+            overflowPage = this._view.getUint32(pageOffset);
+        }
+        return payload;
+    }
+
+    record_(payload)
+    //==============
+    {
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        const [headerSize, headerSizeLength] = readVarint(payload, 0);
+        const serialTypes = [];
+        for (let offset = headerSizeLength; offset < headerSize; ) {
+            const [serialType, length] = readVarint(payload, offset);
+            serialTypes.push(serialType);
+            offset += length;
+        }
+        const values = [];
+        let offset = headerSize;
+        for (const serialType of serialTypes) {
+            if (serialType >= 12) {
+                const length = Math.floor((serialType - 12)/2);
+                const bytes = payload.subarray(offset, offset + length);
+                values.push((serialType % 2) ? this._decoder.decode(bytes) : bytes);
+                offset += length;
+                continue;
+            }
+            switch (serialType) {
+                case 0: values.push(null); break;
+                case 1: values.push(view.getInt8(offset)); break;
+                case 2: values.push(view.getInt16(offset)); break;
+                case 3: values.push(view.getInt8(offset)*65536 + view.getUint16(offset + 1)); break;
+                case 4: values.push(view.getInt32(offset)); break;
+                case 5: values.push(view.getInt16(offset)*0x100000000 + view.getUint32(offset + 2)); break;
+                case 6: values.push(view.getInt32(offset)*0x100000000 + view.getUint32(offset + 4)); break;
+                case 7: values.push(view.getFloat64(offset)); break;
+                case 8: values.push(0); break;
+                case 9: values.push(1); break;
+                default:
+                    throw new BadFormatError('MBTiles archive', '', `has an unknown value type (${serialType})`);
+            }
+            offset += SERIAL_TYPE_LENGTHS[serialType];
+        }
+        return values;
+    }
+}
+
+//==============================================================================
+
+export class MBTilesArchive
+{
+    constructor(buffer)
+    {
+        const database = new SQLiteDatabase(buffer);
+        this._metadata = {};
+        if (database.hasTable('metadata')) {
+            for (const row of database.rows('metadata')) {
+                this._metadata[row.name] = row.value;
+            }
+        }
+
+        // Tiles are keyed by their XYZ coordinates; MBTiles rows are numbered
+        // from the bottom (TMS)
+
+        this._tiles = new Map();
+        const addTile = (z, x, row, data) => {
+            if (data instanceof Uint8Array) {
+                this._tiles.set(`${z}/${x}/${(2**z) - 1 - row}`, data);
+            }
+        };
+        if (database.hasTable('tiles')) {
+            for (const row of database.rows('tiles')) {
+                addTile(row.zoom_level, row.tile_column, row.tile_row, row.tile_data);
+            }
+        } else if (database.hasTable('map') && database.hasTable('images')) {
+            const images = new Map(database.rows('images').map(row => [row.tile_id, row.tile_data]));
+            for (const row of database.rows('map')) {
+                addTile(row.zoom_level, row.tile_column, row.tile_row, images.get(row.tile_id));
+            }
+        } else {
+            throw new BadFormatError('MBTiles archive', '', 'has no tiles');
+        }
+
+        const zooms = Array.from(this._tiles.keys()).map(key => +key.split('/')[0]);
+        this._minZoom = ('minzoom' in this._metadata) ? +this._metadata.minzoom : Math.min(...zooms);
+        this._maxZoom = ('maxzoom' in this._metadata) ? +this._metadata.maxzoom : Math.max(...zooms);
+        const bounds = ('bounds' in this._metadata) ? `${this._metadata.bounds}`.split(',').map(Number) : [];
+        this._bounds = (bounds.length === 4 && bounds.every(Number.isFinite)) ? bounds : WORLD_BOUNDS;
+    }
+
+    get bounds()
+    //==========
+    {
+        return this._bounds;
+    }
+
+    get maxZoom()
+    //===========
+    {
+        return this._maxZoom;
+    }
+
+    get minZoom()
+    //===========
+    {
+        return this._minZoom;
+    }
+
+    /**
+     * The archive's metadata, with the fields of its ``json`` entry (such as
+     * ``vector_layers``) merged in.
+     */
+    metadata()
+    //========
+    {
+        const metadata = Object.assign({}, this._metadata);
+        if ('json' in metadata) {
+            try {
+                Object.assign(metadata, JSON.parse(metadata.json));
+            } catch (error) {
+                throw new BadFormatError('MBTiles archive', 'metadata.json', 'is not valid JSON');
+            }
+            delete metadata.json;
+        }
+        return metadata;
+    }
+
+    /**
+     * Get a tile from the archive.
+     *
+     * @return     {Uint8Array|null}  The uncompressed tile or ``null`` if it's not in the archive
+     */
+    tile(z, x, y)
+    //===========
+    {
+        const data = this._tiles.get(`${z}/${x}/${y}`);
+        if (data === undefined) {
+            return null;
+        }
+        // Vector tiles are usually gzipped
+        return (data[0] === 0x1F && data[1] === 0x8B) ? gunzipSync(data) : data;
+    }
+}
+
+//==============================================================================
@@ -53,10 +53,10 @@ import mapboxgl from 'mapbox-gl';
 
 //==============================================================================
 
+// Colours of the tracking rectangle come from the map's theme
+
 const DEFAULTS = {
-    fillColor: '#DDD',
     fillOpacity: 0.3,
-    lineColor: "#08F",
     lineOpacity: 1,
     lineWidth: 1,
     position: 'bottom-left',
@@ -89,6 +89,8 @@ export class MinimapControl
 
         this._background = null;
         this._opacity = null;
+        this._theme = flatmap.theme;
+        this._themeChanged = false;
         this._loaded = false;
 
         // Check user configurable settings
@@ -225,7 +227,7 @@ export class MinimapControl
             'source': 'trackingRect',
             'layout': {},
             'paint': {
-                'line-color': opts.lineColor,
+                'line-color': this._theme.minimapLine,
                 'line-width': opts.lineWidth,
                 'line-opacity': opts.lineOpacity
             }
@@ -238,7 +240,7 @@ export class MinimapControl
             'source': 'trackingRect',
             'layout': {},
             'paint': {
-                'fill-color': opts.fillColor,
+                'fill-color': this._theme.minimapFill,
                 'fill-opacity': opts.fillOpacity
             }
         });
@@ -260,6 +262,14 @@ export class MinimapControl
         this._miniMapCanvas = miniMap.getCanvasContainer();
         this._miniMapCanvas.addEventListener('wheel', this.preventDefault_);
         this._miniMapCanvas.addEventListener('mousewheel', this.preventDefault_);
+
+        this._loaded = true;
+
+        // The parent map's theme may have changed while we were loading
+
+        if (this._themeChanged) {
+            this.setTheme(this._theme);
+        }
     }
 
     mouseDown_(e)
@@ -430,4 +440,30 @@ export class MinimapControl
             this._opacity = opacity;
         }
     }
+
+    /**
+     * Draw the minimap with a theme's colours, copying those of the
+     * parent map's features.
+     *
+     * @param      {Theme}  theme   The theme
+     */
+    setTheme(theme)
+    //=============
+    {
+        this._theme = theme;
+        if (!this._loaded) {
+            this._themeChanged = true;
+            return;
+        }
+        for (const layer of this._map.getStyle().layers) {
+            if (this._miniMap.getLayer(layer.id) !== undefined) {
+                for (const [property, value] of Object.entries(layer.paint || {})) {
+                    this._miniMap.setPaintProperty(layer.id, property, value);
+                }
+            }
+        }
+        this._miniMap.setPaintProperty('trackingRectOutline', 'line-color', theme.minimapLine);
+        this._miniMap.setPaintProperty('trackingRectFill', 'fill-color', theme.minimapFill);
+        this._themeChanged = false;
+    }
 }
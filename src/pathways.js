@@ -22,17 +22,226 @@ limitations under the License.
 
 //==============================================================================
 
+// The path types known to every map. Paths of a type with the ``dashed`` flag
+// are drawn with a dashed line, as are paths with a ``line-dash`` feature type.
+// ``dasharray`` is the pattern used to tell paths apart when they are encoded
+// by dashes as well as colour.
+
 export const PATH_TYPES = [
     { type: "cns", label: "CNS", colour: "#9B1FC1"},
-    { type: "lcn", label: "Local circuit neuron", colour: "#F19E38"},
-    { type: "para-pre", label: "Parasympathetic pre-ganglionic", colour: "#3F8F4A"},
-    { type: "para-post", label: "Parasympathetic post-ganglionic", colour: "#3F8F4A"},
-    { type: "sensory", label: "Sensory (afferent) neuron", colour: "#2A62F6"},
-    { type: "somatic", label: "Somatic lower motor", colour: "#98561D"},
-    { type: "symp-pre", label: "Sympathetic pre-ganglionic", colour: "#EA3423"},
-    { type: "symp-post", label: "Sympathetic post-ganglionic", colour: "#EA3423"}
+    { type: "lcn", label: "Local circuit neuron", colour: "#F19E38", dasharray: [1, 1]},
+    { type: "para-pre", label: "Parasympathetic pre-ganglionic", colour: "#3F8F4A", dasharray: [4, 2]},
+    { type: "para-post", label: "Parasympathetic post-ganglionic", colour: "#3F8F4A", dashed: true, dasharray: [4, 2, 1, 2]},
+    { type: "sensory", label: "Sensory (afferent) neuron", colour: "#2A62F6", dasharray: [2, 2]},
+    { type: "somatic", label: "Somatic lower motor", colour: "#98561D", dasharray: [6, 2]},
+    { type: "symp-pre", label: "Sympathetic pre-ganglionic", colour: "#EA3423", dasharray: [8, 2, 2, 2]},
+    { type: "symp-post", label: "Sympathetic post-ganglionic", colour: "#EA3423", dashed: true, dasharray: [8, 2, 2, 2, 2, 2]}
 ];
 
+/**
+ * Alternative colours for the viewer's path types, by palette name. Path
+ * types without a colour in a palette keep their own.
+ *
+ * @type {Object.<string, Object.<string, string>>}
+ */
+export const PATH_PALETTES = Object.freeze({
+    'deuteranopia': Object.freeze({
+        'cns': '#CC79A7',
+        'lcn': '#E69F00',
+        'para-pre': '#0072B2',
+        'para-post': '#0072B2',
+        'sensory': '#56B4E9',
+        'somatic': '#999933',
+        'symp-pre': '#D55E00',
+        'symp-post': '#D55E00'
+    }),
+    'protanopia': Object.freeze({
+        'cns': '#AA4499',
+        'lcn': '#DDAA33',
+        'para-pre': '#004488',
+        'para-post': '#004488',
+        'sensory': '#6699CC',
+        'somatic': '#997700',
+        'symp-pre': '#EE7733',
+        'symp-post': '#EE7733'
+    }),
+    'greyscale': Object.freeze({
+        'cns': '#000000',
+        'lcn': '#777777',
+        'para-pre': '#333333',
+        'para-post': '#333333',
+        'sensory': '#999999',
+        'somatic': '#555555',
+        'symp-pre': '#111111',
+        'symp-post': '#111111'
+    })
+});
+
+export const PATH_ENCODINGS = ['colour', 'dash'];
+
+//==============================================================================
+
+/**
+ * The types of a map's paths, with their descriptions and colours.
+ *
+ * Path types are used to colour paths, in legends, and to choose which paths
+ * are shown.
+ */
+export class PathTypes
+{
+    /**
+     * @param      {...Array.<{type: string, label: string, colour: string, dashed: boolean, dasharray: Array.<number>}>}  pathTypeLists
+     *             Lists of path types, with types in later lists replacing those
+     *             of the same ``type`` in earlier ones
+     */
+    constructor(...pathTypeLists)
+    {
+        this._pathTypes = new Map();
+        for (const pathTypes of pathTypeLists) {
+            for (const pathType of (pathTypes || [])) {
+                this._pathTypes.set(pathType.type, {
+                    type: pathType.type,
+                    label: pathType.label || pathType.type,
+                    colour: pathType.colour,
+                    dashed: !!pathType.dashed,
+                    dasharray: pathType.dasharray || null
+                });
+            }
+        }
+        this._palette = null;
+        this._encoding = 'colour';
+    }
+
+    get types()
+    //=========
+    {
+        return Array.from(this._pathTypes.keys()).map(type => this.pathType(type));
+    }
+
+    /**
+     * The path types whose paths are drawn dashed.
+     *
+     * @type {Array.<string>}
+     */
+    get dashedTypes()
+    //===============
+    {
+        return Array.from(this._pathTypes.values()).filter(pathType => pathType.dashed)
+                                                   .map(pathType => pathType.type);
+    }
+
+    has(pathType)
+    //===========
+    {
+        return this._pathTypes.has(pathType);
+    }
+
+    /**
+     * A path type's details, with its colour from the current palette.
+     *
+     * @param      {string}  type    The path type
+     * @return     {Object|null}
+     */
+    pathType(type)
+    //============
+    {
+        const pathType = this._pathTypes.get(type);
+        if (pathType === undefined) {
+            return null;
+        }
+        return Object.assign({}, pathType, {
+            colour: (this._palette !== null && type in this._palette) ? this._palette[type]
+                                                                       : pathType.colour
+        });
+    }
+
+    /**
+     * How paths are told apart, either by ``colour`` alone or by ``dash``
+     * patterns as well.
+     *
+     * @type {string}
+     */
+    get encoding()
+    //============
+    {
+        return this._encoding;
+    }
+
+    setEncoding(encoding)
+    //===================
+    {
+        if (PATH_ENCODINGS.indexOf(encoding) < 0) {
+            throw new TypeError(`Unknown path encoding: '${encoding}'`);
+        }
+        this._encoding = encoding;
+    }
+
+    /**
+     * The name of the current palette, ``default`` if path types have their own
+     * colours, or ``custom``.
+     *
+     * @type {string}
+     */
+    get palette()
+    //===========
+    {
+        if (this._palette === null) {
+            return 'default';
+        }
+        for (const [name, palette] of Object.entries(PATH_PALETTES)) {
+            if (palette === this._palette) {
+                return name;
+            }
+        }
+        return 'custom';
+    }
+
+    /**
+     * Set the colours of path types.
+     *
+     * @param      {string|Object.<string, string>}  palette  The name of a palette in
+     *                                                        :attr:`PATH_PALETTES`, ``default``,
+     *                                                        or colours by path type
+     */
+    setPalette(palette)
+    //=================
+    {
+        if (typeof palette === 'string') {
+            if (palette === 'default') {
+                this._palette = null;
+            } else if (palette in PATH_PALETTES) {
+                this._palette = PATH_PALETTES[palette];
+            } else {
+                throw new TypeError(`Unknown path palette: '${palette}'`);
+            }
+        } else {
+            this._palette = Object.assign({}, palette);
+        }
+    }
+
+    /**
+     * A style expression giving the colour of a path from its ``kind``.
+     *
+     * @param      {string}  defaultColour  The colour of paths of an unknown kind
+     * @return     {Array}
+     */
+    colourExpression(defaultColour)
+    //=============================
+    {
+        const expression = ['match', ['get', 'kind']];
+        for (const pathType of this.types) {
+            expression.push(pathType.type, pathType.colour);
+        }
+        if (expression.length === 2) {
+            return defaultColour;
+        }
+        expression.push(defaultColour);
+        return expression;
+    }
+}
+
+export const DEFAULT_PATH_TYPES = new PathTypes(PATH_TYPES);
+
 //==============================================================================
 
 function reverseMap(mapping)
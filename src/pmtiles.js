@@ -0,0 +1,281 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+// A reader for version 3 PMTiles archives that are held in memory.
+//
+// See https://github.com/protomaps/PMTiles/blob/main/spec/v3/spec.md
+
+//==============================================================================
+
+import {gunzipSync} from 'fflate';
+
+//==============================================================================
+
+import {BadFormatError} from './errors.js';
+
+//==============================================================================
+
+const HEADER_LENGTH = 127;
+
+const COMPRESSION_NONE = 1;
+const COMPRESSION_GZIP = 2;
+
+//==============================================================================
+
+function decompress(bytes, compression)
+//=====================================
+{
+    if (compression === COMPRESSION_GZIP) {
+        return gunzipSync(bytes);
+    } else if (compression === COMPRESSION_NONE || compression === 0) {
+        return bytes;
+    }
+    throw new BadFormatError('PMTiles archive', '', `has unsupported compression (${compression})`);
+}
+
+//==============================================================================
+
+class VarintReader
+{
+    constructor(bytes)
+    {
+        this._bytes = bytes;
+        this._position = 0;
+    }
+
+    next()
+    //====
+    {
+        // Values are less than 2^53 so we can't use bitwise operators
+        // beyond the first 28 bits
+
+        let value = 0;
+        let multiplier = 1;
+        let byte = 0;
+        do {
+            byte = this._bytes[this._position];
+            this._position += 1;
+            value += (byte & 0x7F)*multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        return value;
+    }
+}
+
+//==============================================================================
+
+function readDirectory(bytes)
+//===========================
+{
+    const reader = new VarintReader(bytes);
+    const entryCount = reader.next();
+    const entries = [];
+    let lastTileId = 0;
+    for (let n = 0; n < entryCount; n++) {
+        lastTileId += reader.next();
+        entries.push({tileId: lastTileId, offset: 0, length: 0, runLength: 1});
+    }
+    for (const entry of entries) {
+        entry.runLength = reader.next();
+    }
+    for (const entry of entries) {
+        entry.length = reader.next();
+    }
+    for (let n = 0; n < entryCount; n++) {
+        const value = reader.next();
+        if (value === 0 && n > 0) {
+            entries[n].offset = entries[n-1].offset + entries[n-1].length;
+        } else {
+            entries[n].offset = value - 1;
+        }
+    }
+    return entries;
+}
+
+function findEntry(entries, tileId)
+//=================================
+{
+    // Binary search for the last entry with an id not more than `tileId`
+
+    let low = 0;
+    let high = entries.length - 1;
+    while (low <= high) {
+        const middle = (low + high) >> 1;
+        const delta = tileId - entries[middle].tileId;
+        if (delta > 0) {
+            low = middle + 1;
+        } else if (delta < 0) {
+            high = middle - 1;
+        } else {
+            return entries[middle];
+        }
+    }
+    if (high >= 0) {
+        const entry = entries[high];
+        if (entry.runLength === 0 || (tileId - entry.tileId) < entry.runLength) {
+            return entry;
+        }
+    }
+    return null;
+}
+
+//==============================================================================
+
+function rotate(n, xy, rx, ry)
+//============================
+{
+    if (ry === 0) {
+        if (rx === 1) {
+            xy[0] = n - 1 - xy[0];
+            xy[1] = n - 1 - xy[1];
+        }
+        const t = xy[0];
+        xy[0] = xy[1];
+        xy[1] = t;
+    }
+}
+
+export function zxyToTileId(z, x, y)
+//==================================
+{
+    // Tiles are numbered along a Hilbert curve, following
+    // all the tiles of lower zoom levels
+
+    let tileId = ((4**z) - 1)/3;
+    const xy = [x, y];
+    for (let s = (2**z)/2; s >= 1; s /= 2) {
+        const rx = (xy[0] & s) > 0 ? 1 : 0;
+        const ry = (xy[1] & s) > 0 ? 1 : 0;
+        tileId += s*s*((3*rx) ^ ry);
+        rotate(s, xy, rx, ry);
+    }
+    return tileId;
+}
+
+//==============================================================================
+
+export class PMTilesArchive
+{
+    constructor(buffer)
+    {
+        this._bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        const magic = String.fromCharCode(...this._bytes.slice(0, 7));
+        if (buffer.byteLength < HEADER_LENGTH || magic !== 'PMTiles') {
+            throw new BadFormatError('PMTiles archive', '', 'has no PMTiles header');
+        }
+        if (view.getUint8(7) !== 3) {
+            throw new BadFormatError('PMTiles archive', '', `has unsupported version (${view.getUint8(7)})`);
+        }
+        const uint64 = (offset) => view.getUint32(offset + 4, true)*0x100000000
+                                 + view.getUint32(offset, true);
+        this._header = {
+            rootDirectoryOffset: uint64(8),
+            rootDirectoryLength: uint64(16),
+            metadataOffset: uint64(24),
+            metadataLength: uint64(32),
+            leafDirectoryOffset: uint64(40),
+            tileDataOffset: uint64(56),
+            internalCompression: view.getUint8(97),
+            tileCompression: view.getUint8(98),
+            minZoom: view.getUint8(100),
+            maxZoom: view.getUint8(101),
+            bounds: [
+                view.getInt32(102, true)/1e7, view.getInt32(106, true)/1e7,
+                view.getInt32(110, true)/1e7, view.getInt32(114, true)/1e7
+            ]
+        };
+        this._rootDirectory = this.directory_(this._header.rootDirectoryOffset,
+                                              this._header.rootDirectoryLength);
+        this._leafDirectories = new Map();
+    }
+
+    get bounds()
+    //==========
+    {
+        return this._header.bounds;
+    }
+
+    get maxZoom()
+    //===========
+    {
+        return this._header.maxZoom;
+    }
+
+    get minZoom()
+    //===========
+    {
+        return this._header.minZoom;
+    }
+
+    directory_(offset, length)
+    //========================
+    {
+        return readDirectory(decompress(this._bytes.subarray(offset, offset + length),
+                                        this._header.internalCompression));
+    }
+
+    /**
+     * The archive's JSON metadata.
+     */
+    metadata()
+    //========
+    {
+        const offset = this._header.metadataOffset;
+        const bytes = decompress(this._bytes.subarray(offset, offset + this._header.metadataLength),
+                                 this._header.internalCompression);
+        return (bytes.length > 0) ? JSON.parse(new TextDecoder().decode(bytes)) : {};
+    }
+
+    /**
+     * Get a tile from the archive.
+     *
+     * @return     {Uint8Array|null}  The uncompressed tile or ``null`` if it's not in the archive
+     */
+    tile(z, x, y)
+    //===========
+    {
+        const tileId = zxyToTileId(z, x, y);
+        let directory = this._rootDirectory;
+        while (directory !== null) {
+            const entry = findEntry(directory, tileId);
+            if (entry === null) {
+                return null;
+            } else if (entry.runLength > 0) {
+                const offset = this._header.tileDataOffset + entry.offset;
+                return decompress(this._bytes.subarray(offset, offset + entry.length),
+                                  this._header.tileCompression);
+            }
+            const leafOffset = this._header.leafDirectoryOffset + entry.offset;
+            directory = this._leafDirectories.get(leafOffset);
+            if (directory === undefined) {
+                directory = this.directory_(leafOffset, entry.length);
+                this._leafDirectories.set(leafOffset, directory);
+            }
+        }
+        return null;
+    }
+}
+
+//==============================================================================
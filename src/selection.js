@@ -0,0 +1,205 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+import mapboxgl from 'mapbox-gl';
+
+//==============================================================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// A mouse that moves less than this many pixels is clicking, not dragging
+
+const DRAG_TOLERANCE = 3;
+
+//==============================================================================
+
+/**
+ * Is a point inside a polygon?
+ *
+ * @param      {Array.<mapboxgl.Point>}  polygon  The polygon's vertices
+ * @param      {mapboxgl.Point}  point
+ * @return     {boolean}
+ */
+export function polygonContains(polygon, point)
+//=============================================
+{
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const p = polygon[i];
+        const q = polygon[j];
+        if (((p.y > point.y) !== (q.y > point.y))
+         && (point.x < (q.x - p.x)*(point.y - p.y)/(q.y - p.y) + p.x)) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+//==============================================================================
+
+/**
+ * Select an area of a map by dragging over it.
+ *
+ * Dragging with the shift key down outlines a box and with both the shift and
+ * alt keys down draws a lasso. Mapbox's shift-drag zoom is disabled while
+ * drag selection is in place, and the click that ends a drag is not passed
+ * on to the map.
+ */
+export class DragSelect
+{
+    /**
+     * @param      {mapboxgl.Map}  map
+     * @param      {function(Array.<mapboxgl.Point>)}  selectCallback  Called with the vertices
+     *                                                                of the area dragged over,
+     *                                                                in pixels from the map's
+     *                                                                top left corner
+     */
+    constructor(map, selectCallback)
+    {
+        this._map = map;
+        this._selectCallback = selectCallback;
+        this._points = [];
+        this._lasso = false;
+        this._dragging = false;
+        this._suppressClick = false;
+
+        map.boxZoom.disable();
+
+        // The outline goes above the map's canvas but below its controls
+
+        const mapContainer = map.getContainer();
+        const controlContainer = mapContainer.querySelector('.mapboxgl-control-container');
+        this._outline = document.createElementNS(SVG_NS, 'svg');
+        this._outline.setAttribute('class', 'flatmap-drag-select');
+        this._polygon = document.createElementNS(SVG_NS, 'polygon');
+        this._outline.appendChild(this._polygon);
+        mapContainer.insertBefore(this._outline, controlContainer);
+
+        // Capture mouse events before the map sees them
+
+        this._startDragHandler = this.startDrag_.bind(this);
+        this._clickHandler = this.click_.bind(this);
+        this._dragHandler = this.drag_.bind(this);
+        this._endDragHandler = this.endDrag_.bind(this);
+        this._removeHandler = this.remove.bind(this);
+        const canvasContainer = map.getCanvasContainer();
+        canvasContainer.addEventListener('mousedown', this._startDragHandler, true);
+        canvasContainer.addEventListener('click', this._clickHandler, true);
+        map.on('remove', this._removeHandler);
+    }
+
+    remove()
+    //======
+    {
+        this.stopDrag_();
+        const canvasContainer = this._map.getCanvasContainer();
+        canvasContainer.removeEventListener('mousedown', this._startDragHandler, true);
+        canvasContainer.removeEventListener('click', this._clickHandler, true);
+        this._map.off('remove', this._removeHandler);
+        this._map.boxZoom.enable();
+        if (this._outline.parentNode) {
+            this._outline.parentNode.removeChild(this._outline);
+        }
+    }
+
+    mousePoint_(event)
+    //================
+    {
+        const bounds = this._map.getCanvasContainer().getBoundingClientRect();
+        return new mapboxgl.Point(event.clientX - bounds.left, event.clientY - bounds.top);
+    }
+
+    startDrag_(event)
+    //===============
+    {
+        this._suppressClick = false;
+        if (!event.shiftKey || event.button !== 0) {
+            return;
+        }
+        event.preventDefault();
+        event.stopPropagation();
+        this._points = [this.mousePoint_(event)];
+        this._lasso = event.altKey;
+        this._dragging = false;
+        document.addEventListener('mousemove', this._dragHandler);
+        document.addEventListener('mouseup', this._endDragHandler);
+    }
+
+    drag_(event)
+    //==========
+    {
+        const point = this.mousePoint_(event);
+        const start = this._points[0];
+        if (!this._dragging) {
+            if (point.dist(start) < DRAG_TOLERANCE) {
+                return;
+            }
+            this._dragging = true;
+            this._outline.style.display = 'block';
+        }
+        if (this._lasso) {
+            this._points.push(point);
+        } else {
+            this._points = [start,
+                            new mapboxgl.Point(point.x, start.y),
+                            point,
+                            new mapboxgl.Point(start.x, point.y)];
+        }
+        this._polygon.setAttribute('points', this._points.map(p => `${p.x},${p.y}`).join(' '));
+    }
+
+    endDrag_(event)
+    //=============
+    {
+        const dragged = this._dragging;
+        this.stopDrag_();
+        if (dragged && this._points.length > 2) {
+            // The click that ends a drag isn't a click on the map
+
+            this._suppressClick = true;
+            this._selectCallback(this._points);
+        }
+    }
+
+    stopDrag_()
+    //=========
+    {
+        document.removeEventListener('mousemove', this._dragHandler);
+        document.removeEventListener('mouseup', this._endDragHandler);
+        this._dragging = false;
+        this._outline.style.display = 'none';
+        this._polygon.removeAttribute('points');
+    }
+
+    click_(event)
+    //===========
+    {
+        if (this._suppressClick) {
+            this._suppressClick = false;
+            event.stopPropagation();
+        }
+    }
+}
+
+//==============================================================================
@@ -22,8 +22,45 @@ limitations under the License.
 
 //==============================================================================
 
+import {ANNOTATION_ISSUES} from './annotationqa.js';
+import {DEFAULT_PATH_TYPES} from './pathways.js';
+import {DEFAULT_THEME} from './themes.js';
+
+//==============================================================================
+
 export const VECTOR_TILES_SOURCE = 'vector-tiles';
 
+// Features coloured by data set with ``FlatMap.setFeatureData()``
+
+const DATA_FILL_OPACITY = 0.8;
+
+// Selected features are tinted with the theme's ``selected`` colour
+
+const SELECTED_FILL_OPACITY = 0.2;
+
+// Labels fade in over a zoom level, starting at their layer's minimum zoom
+
+const LARGE_LABEL_MINZOOM = 3;
+const SMALL_LABEL_MINZOOM = 6;
+
+function labelFade_(minzoom, opacity)
+//===================================
+{
+    return ['interpolate', ['linear'], ['zoom'], minzoom, 0, minzoom + 1, opacity];
+}
+
+// Colliding labels are hidden, with those of larger features placed first.
+// Features shown at lower zoom levels have a smaller ``scale``, group features
+// are favoured over their members, and area breaks ties. A sort key only orders
+// labels in one style layer, so the large label layer goes above the small one.
+
+const LABEL_SORT_KEY = [
+    '+',
+    ['to-number', ['coalesce', ['get', 'scale'], 10]],
+    ['case', ['to-boolean', ['get', 'group']], -1, 0],
+    ['/', 1, ['+', 1, ['/', ['to-number', ['coalesce', ['get', 'area'], 0]], 1000000000]]]
+];
+
 //==============================================================================
 
 export class BackgroundLayer
@@ -44,7 +81,7 @@ export class BackgroundLayer
 
 export class BodyLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-body`,
@@ -57,7 +94,7 @@ export class BodyLayer
                 ['==', 'models', 'UBERON:0013702']
             ],
             'paint': {
-                'fill-color': '#F0F0F0',
+                'fill-color': theme.body,
                 'fill-opacity': 1
             }
         };
@@ -68,7 +105,7 @@ export class BodyLayer
 
 export class FeatureFillLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-fill`,
@@ -84,8 +121,18 @@ export class FeatureFillLayer
                 'fill-sort-key': ['get', 'scale']
             },
             'paint': {
-                'fill-color': 'white',
-                'fill-opacity': 0.01
+                'fill-color': [
+                    'case',
+                    ['boolean', ['feature-state', 'data'], false], ['to-color', ['feature-state', 'data-colour']],
+                    ['boolean', ['feature-state', 'selected'], false], theme.selected,
+                    theme.featureFill
+                ],
+                'fill-opacity': [
+                    'case',
+                    ['boolean', ['feature-state', 'data'], false], DATA_FILL_OPACITY,
+                    ['boolean', ['feature-state', 'selected'], false], SELECTED_FILL_OPACITY,
+                    0.01
+                ]
             }
         };
     }
@@ -95,7 +142,7 @@ export class FeatureFillLayer
 
 export class FeatureBorderLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-border`,
@@ -110,19 +157,22 @@ export class FeatureBorderLayer
             'paint': {
                 'line-color': [
                     'case',
-                    ['boolean', ['feature-state', 'active'], false], 'blue',
-                    ['boolean', ['feature-state', 'highlighted'], false], 'blue',
-                    '#444'
+                    ['boolean', ['feature-state', 'active'], false], theme.active,
+                    ['boolean', ['feature-state', 'selected'], false], theme.selected,
+                    ['boolean', ['feature-state', 'highlighted'], false], theme.active,
+                    theme.border
                 ],
                 'line-opacity': [
                     'case',
                     ['boolean', ['feature-state', 'active'], false], 0.9,
+                    ['boolean', ['feature-state', 'selected'], false], 1.0,
                     ['boolean', ['feature-state', 'highlighted'], false], 0.9,
                     ['boolean', ['get', 'invisible'], false], 0.05,
-                    0.3
+                    theme.borderOpacity
                 ],
                 'line-width': [
                     'case',
+                    ['boolean', ['feature-state', 'selected'], false], 3,
                     ['boolean', ['get', 'invisible'], false], 0.5,
                     2
                 ]
@@ -135,7 +185,7 @@ export class FeatureBorderLayer
 
 export class FeatureDividerBorderLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-divider-border`,
@@ -148,7 +198,7 @@ export class FeatureDividerBorderLayer
                  ['==', '$type', 'Polygon']
             ],
             'paint': {
-                'line-color': '#444',
+                'line-color': theme.divider,
                 'line-opacity': 0.8,
                 'line-width': [
                     'let', 'width', 0.1,
@@ -166,7 +216,7 @@ export class FeatureDividerBorderLayer
 
 export class FeatureDividerLineLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-divider-line`,
@@ -178,7 +228,7 @@ export class FeatureDividerLineLayer
                  ['==', '$type', 'LineString']
             ],
             'paint': {
-                'line-color': '#444',
+                'line-color': theme.divider,
                 'line-opacity': 0.8,
                 'line-width': [
                     'let', 'width', 0.1,
@@ -198,7 +248,7 @@ export class FeatureDividerLineLayer
 
 export class FeatureLineLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME, pathTypes=DEFAULT_PATH_TYPES)
     {
         return {
             'id': `${sourceLayer}-line`,
@@ -208,19 +258,15 @@ export class FeatureLineLayer
             'filter': [
                  'all',
                  ['==', '$type', 'LineString'],
-                 ['==', 'type', 'line']
+                 ['==', 'type', 'line'],
+                 ['!in', 'kind', ...pathTypes.dashedTypes]
             ],
             'paint': {
                 'line-color': [
                     'case',
-                    ['boolean', ['feature-state', 'hidden'], false], '#CCC',
-                    ['==', ['get', 'kind'], 'cns'], '#9B1FC1',
-                    ['==', ['get', 'kind'], 'lcn'], '#F19E38',
-                    ['==', ['get', 'kind'], 'para-pre'], '#3F8F4A',
-                    ['==', ['get', 'kind'], 'somatic'], '#98561D',
-                    ['==', ['get', 'kind'], 'sensory'], '#2A62F6',
-                    ['==', ['get', 'kind'], 'symp-pre'], '#EA3423',
-                    'red'
+                    ['boolean', ['feature-state', 'hidden'], false], theme.hiddenPath,
+                    ['boolean', ['feature-state', 'selected'], false], theme.selected,
+                    pathTypes.colourExpression(theme.path)
                 ],
                 'line-opacity': [
                     'case',
@@ -249,9 +295,60 @@ export class FeatureLineLayer
 
 //==============================================================================
 
+/**
+ * The paths of one type, drawn with the type's dash pattern so that paths
+ * can be told apart without relying on colour.
+ */
+export class PathTypeLineLayer
+{
+    static style(sourceLayer, theme=DEFAULT_THEME, pathTypes=DEFAULT_PATH_TYPES, type='')
+    {
+        const pathType = pathTypes.pathType(type);
+        const styleLayer = FeatureLineLayer.style(sourceLayer, theme, pathTypes);
+        styleLayer['id'] = `${sourceLayer}-path-type-${type}`;
+        styleLayer['filter'] = [
+            'all',
+            ['==', '$type', 'LineString'],
+            ['in', 'type', 'line', 'line-dash'],
+            ['==', 'kind', type]
+        ];
+        styleLayer['paint']['line-color'] = [
+            'case',
+            ['boolean', ['feature-state', 'hidden'], false], theme.hiddenPath,
+            pathType.colour
+        ];
+        if (pathType.dasharray !== null) {
+            styleLayer['paint']['line-dasharray'] = pathType.dasharray;
+        }
+        return styleLayer;
+    }
+}
+
+/**
+ * Paths whose kind isn't a known path type, drawn as solid lines when
+ * paths are encoded by dashes.
+ */
+export class UnknownPathTypeLineLayer
+{
+    static style(sourceLayer, theme=DEFAULT_THEME, pathTypes=DEFAULT_PATH_TYPES)
+    {
+        const styleLayer = FeatureLineLayer.style(sourceLayer, theme, pathTypes);
+        styleLayer['id'] = `${sourceLayer}-path-untyped`;
+        styleLayer['filter'] = [
+            'all',
+            ['==', '$type', 'LineString'],
+            ['in', 'type', 'line', 'line-dash'],
+            ['!in', 'kind', ...pathTypes.types.map(pathType => pathType.type)]
+        ];
+        return styleLayer;
+    }
+}
+
+//==============================================================================
+
 export class FeatureLineDashLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME, pathTypes=DEFAULT_PATH_TYPES)
     {
         return {
             'id': `${sourceLayer}-line-dash`,
@@ -261,15 +358,17 @@ export class FeatureLineDashLayer
             'filter': [
                  'all',
                  ['==', '$type', 'LineString'],
-                 ['==', 'type', 'line-dash']
+                 ['any',
+                    ['==', 'type', 'line-dash'],
+                    ['all', ['==', 'type', 'line'], ['in', 'kind', ...pathTypes.dashedTypes]]
+                 ]
             ],
             'paint': {
                 'line-color': [
                     'case',
-                    ['boolean', ['feature-state', 'hidden'], false], '#CCC',
-                    ['==', ['get', 'kind'], 'para-post'], '#3F8F4A',
-                    ['==', ['get', 'kind'], 'symp-post'], '#EA3423',
-                    'red'
+                    ['boolean', ['feature-state', 'hidden'], false], theme.hiddenPath,
+                    ['boolean', ['feature-state', 'selected'], false], theme.selected,
+                    pathTypes.colourExpression(theme.path)
                 ],
                 'line-opacity': [
                     'case',
@@ -301,7 +400,7 @@ export class FeatureLineDashLayer
 
 export class FeatureNerveLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-nerve`,
@@ -316,10 +415,10 @@ export class FeatureNerveLayer
             'paint': {
                 'line-color': [
                     'case',
-                    ['boolean', ['feature-state', 'active'], false], '#222',
-                    ['boolean', ['feature-state', 'highlighted'], false], '#222',
-                    ['boolean', ['feature-state', 'hidden'], false], '#CCC',
-                    '#888'
+                    ['boolean', ['feature-state', 'active'], false], theme.activeNerve,
+                    ['boolean', ['feature-state', 'highlighted'], false], theme.activeNerve,
+                    ['boolean', ['feature-state', 'hidden'], false], theme.hiddenPath,
+                    theme.nerve
                 ],
                 'line-opacity': [
                     'case',
@@ -351,7 +450,7 @@ export class FeatureNerveLayer
 
 export class NervePolygonLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-nerve-polygon`,
@@ -364,7 +463,7 @@ export class NervePolygonLayer
                  ['==', 'type', 'nerve']
             ],
             'paint': {
-                'fill-color': 'white',
+                'fill-color': theme.featureFill,
                 'fill-opacity': 0.01
             }
         };
@@ -373,16 +472,49 @@ export class NervePolygonLayer
 
 //==============================================================================
 
+/**
+ * Outlines of features with annotation issues, set by their ``annotation-issue``
+ * feature state. Features without the state aren't drawn.
+ */
+export class AnnotationIssueLayer
+{
+    static style(sourceLayer, theme=DEFAULT_THEME)
+    {
+        const issue = ['to-string', ['feature-state', 'annotation-issue']];
+        const issueColours = [];
+        for (const [kind, details] of Object.entries(ANNOTATION_ISSUES)) {
+            issueColours.push(kind, details.colour);
+        }
+        return {
+            'id': `${sourceLayer}-annotation-issue`,
+            'source': VECTOR_TILES_SOURCE,
+            'source-layer': sourceLayer,
+            'type': 'line',
+            'paint': {
+                'line-color': ['match', issue, ...issueColours, theme.border],
+                'line-opacity': [
+                    'case',
+                    ['==', issue, ''], 0,
+                    0.9
+                ],
+                'line-width': 3
+            }
+        };
+    }
+}
+
+//==============================================================================
+
 export class FeatureLargeSymbolLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-large-symbol`,
             'source': VECTOR_TILES_SOURCE,
             'source-layer': sourceLayer,
             'type': 'symbol',
-            'minzoom': 3,
+            'minzoom': LARGE_LABEL_MINZOOM,
             //'maxzoom': 7,
             'filter': [
                 'all',
@@ -391,9 +523,11 @@ export class FeatureLargeSymbolLayer
             ],
             'layout': {
                 'visibility': 'visible',
-                'icon-allow-overlap': true,
+                'icon-allow-overlap': false,
                 'icon-image': 'label-background',
-                'text-allow-overlap': true,
+                'symbol-sort-key': LABEL_SORT_KEY,
+                'text-allow-overlap': false,
+                'text-padding': 4,
                 'text-field': '{label}',
                 'text-font': ['Open Sans Regular'],
                 'text-line-height': 1,
@@ -402,11 +536,15 @@ export class FeatureLargeSymbolLayer
                 'icon-text-fit': 'both'
             },
             'paint': {
+                'icon-opacity': labelFade_(LARGE_LABEL_MINZOOM, theme.labelBackgroundOpacity),
                 'text-color': [
                     'case',
-                    ['boolean', ['feature-state', 'active'], false], '#8300bf',
-                    '#000'
-                ]
+                    ['boolean', ['feature-state', 'active'], false], theme.activeLabel,
+                    theme.label
+                ],
+                'text-halo-color': theme.labelHalo,
+                'text-halo-width': theme.labelHaloWidth,
+                'text-opacity': labelFade_(LARGE_LABEL_MINZOOM, 1)
             }
         };
     }
@@ -416,14 +554,14 @@ export class FeatureLargeSymbolLayer
 
 export class FeatureSmallSymbolLayer
 {
-    static style(sourceLayer)
+    static style(sourceLayer, theme=DEFAULT_THEME)
     {
         return {
             'id': `${sourceLayer}-small-symbol`,
             'source': VECTOR_TILES_SOURCE,
             'source-layer': sourceLayer,
             'type': 'symbol',
-            'minzoom': 6,
+            'minzoom': SMALL_LABEL_MINZOOM,
             'filter': [
                 'all',
                 ['has', 'label'],
@@ -431,9 +569,11 @@ export class FeatureSmallSymbolLayer
             ],
             'layout': {
                 'visibility': 'visible',
-                'icon-allow-overlap': true,
+                'icon-allow-overlap': false,
                 'icon-image': 'label-background',
-                'text-allow-overlap': true,
+                'symbol-sort-key': LABEL_SORT_KEY,
+                'text-allow-overlap': false,
+                'text-padding': 4,
                 'text-field': '{label}',
                 'text-font': ['Open Sans Regular'],
                 'text-line-height': 1,
@@ -442,11 +582,15 @@ export class FeatureSmallSymbolLayer
                 'icon-text-fit': 'both'
             },
             'paint': {
+                'icon-opacity': labelFade_(SMALL_LABEL_MINZOOM, theme.labelBackgroundOpacity),
                 'text-color': [
                     'case',
-                    ['boolean', ['feature-state', 'active'], false], '#8300bf',
-                    '#000'
-                ]
+                    ['boolean', ['feature-state', 'active'], false], theme.activeLabel,
+                    theme.label
+                ],
+                'text-halo-color': theme.labelHalo,
+                'text-halo-width': theme.labelHaloWidth,
+                'text-opacity': labelFade_(SMALL_LABEL_MINZOOM, 1)
             }
         };
     }
@@ -0,0 +1,191 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+import mapboxgl from 'mapbox-gl';
+
+//==============================================================================
+
+/**
+ * Split a map's view between its source images and its vector features.
+ *
+ * The images are drawn by a second, non-interactive, map that follows the
+ * main map and is clipped to the left of a handle which can be dragged
+ * across the map.
+ */
+export class ImageSwipe
+{
+    /**
+     * @param      {mapboxgl.Map}  map            The main map
+     * @param      {Array.<string>}  styleLayerIds  The main map's image layers
+     * @param      {Object}  [options={}]
+     * @param      {number}  [options.position=0.5]  Where the view is split, as a
+     *                                            fraction of the map's width
+     * @param      {Function}  [options.transformRequest]  Passed to the image map
+     */
+    constructor(map, styleLayerIds, options={})
+    {
+        this._map = map;
+        this._position = 0.5;
+
+        // Our elements go above the map's canvas but below its controls
+
+        const mapContainer = map.getContainer();
+        const controlContainer = mapContainer.querySelector('.mapboxgl-control-container');
+        this._container = document.createElement('div');
+        this._container.className = 'flatmap-image-swipe';
+        mapContainer.insertBefore(this._container, controlContainer);
+        this._handle = document.createElement('div');
+        this._handle.className = 'flatmap-image-swipe-handle';
+        this._handle.title = 'Drag to compare the image with the map';
+        mapContainer.insertBefore(this._handle, controlContainer);
+
+        // Images are always fully shown in the image map
+
+        const mapStyle = map.getStyle();
+        const sources = {};
+        const layers = [];
+        for (const layer of mapStyle.layers) {
+            if (layer.type === 'background' || styleLayerIds.indexOf(layer.id) >= 0) {
+                if ('source' in layer) {
+                    sources[layer.source] = mapStyle.sources[layer.source];
+                }
+                layers.push(Object.assign({}, layer, {
+                    layout: Object.assign({}, layer.layout, {visibility: 'visible'}),
+                    paint: (layer.type === 'raster')
+                            ? Object.assign({}, layer.paint, {'raster-opacity': 1})
+                            : layer.paint
+                }));
+            }
+        }
+        const mapOptions = {
+            attributionControl: false,
+            container: this._container,
+            interactive: false,
+            style: {
+                version: 8,
+                sources: sources,
+                layers: layers
+            },
+            center: map.getCenter(),
+            zoom: map.getZoom()
+        };
+        if (options.transformRequest) {
+            mapOptions.transformRequest = options.transformRequest;
+        }
+        this._imageMap = new mapboxgl.Map(mapOptions);
+        this._imageMap.setRenderWorldCopies(false);
+
+        this._moveHandler = this.move_.bind(this);
+        this._resizeHandler = this.resize_.bind(this);
+        this._map.on('move', this._moveHandler);
+        this._map.on('resize', this._resizeHandler);
+
+        this._dragHandler = this.drag_.bind(this);
+        this._endDragHandler = this.endDrag_.bind(this);
+        this._handle.addEventListener('mousedown', this.startDrag_.bind(this));
+        this._handle.addEventListener('touchstart', this.startDrag_.bind(this));
+
+        this.setPosition(('position' in options) ? options.position : 0.5);
+    }
+
+    get position()
+    //============
+    {
+        return this._position;
+    }
+
+    /**
+     * Set where the view is split.
+     *
+     * @param      {number}  position  The fraction of the map's width, from its
+     *                                 left edge, that shows images
+     */
+    setPosition(position)
+    //===================
+    {
+        this._position = Math.max(0, Math.min(position, 1));
+        const percent = 100*this._position;
+        this._container.style.clipPath = `inset(0 ${100 - percent}% 0 0)`;
+        this._handle.style.left = `${percent}%`;
+    }
+
+    remove()
+    //======
+    {
+        this.endDrag_();
+        this._map.off('move', this._moveHandler);
+        this._map.off('resize', this._resizeHandler);
+        this._imageMap.remove();
+        this._container.parentNode.removeChild(this._container);
+        this._handle.parentNode.removeChild(this._handle);
+    }
+
+    move_()
+    //=====
+    {
+        this._imageMap.jumpTo({
+            center: this._map.getCenter(),
+            zoom: this._map.getZoom(),
+            bearing: this._map.getBearing(),
+            pitch: this._map.getPitch()
+        });
+    }
+
+    resize_()
+    //=======
+    {
+        this._imageMap.resize();
+        this.move_();
+    }
+
+    startDrag_(event)
+    //===============
+    {
+        event.preventDefault();
+        event.stopPropagation();
+        document.addEventListener('mousemove', this._dragHandler);
+        document.addEventListener('touchmove', this._dragHandler);
+        document.addEventListener('mouseup', this._endDragHandler);
+        document.addEventListener('touchend', this._endDragHandler);
+    }
+
+    drag_(event)
+    //==========
+    {
+        const clientX = ('touches' in event) ? event.touches[0].clientX : event.clientX;
+        const bounds = this._map.getContainer().getBoundingClientRect();
+        this.setPosition((clientX - bounds.left)/bounds.width);
+    }
+
+    endDrag_()
+    //========
+    {
+        document.removeEventListener('mousemove', this._dragHandler);
+        document.removeEventListener('touchmove', this._dragHandler);
+        document.removeEventListener('mouseup', this._endDragHandler);
+        document.removeEventListener('touchend', this._endDragHandler);
+    }
+}
+
+//==============================================================================
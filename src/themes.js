@@ -0,0 +1,157 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+/**
+ * The colours used to draw a map.
+ *
+ * @typedef {Object} Theme
+ * @property {string} name
+ * @property {string} background  The map's background
+ * @property {string} body  Fill of the body outline
+ * @property {string} featureFill  Fill of features, which is almost transparent
+ * @property {string} border  Feature borders
+ * @property {number} borderOpacity
+ * @property {string} divider  Lines dividing features
+ * @property {string} active  Borders of features under the mouse or highlighted
+ * @property {string} selected  Borders and fill of selected features
+ * @property {string} path  Paths of an unknown kind
+ * @property {string} hiddenPath  Paths that have been hidden
+ * @property {string} nerve
+ * @property {string} activeNerve
+ * @property {string} label
+ * @property {string} activeLabel
+ * @property {string} labelHalo
+ * @property {number} labelHaloWidth
+ * @property {number} labelBackgroundOpacity  The opacity of the box behind labels
+ * @property {string} minimapFill  Fill of the minimap's view rectangle
+ * @property {string} minimapLine  Outline of the minimap's view rectangle
+ */
+
+/**
+ * The themes provided with the viewer, by name.
+ *
+ * @type {Object.<string, Theme>}
+ */
+export const THEMES = Object.freeze({
+    'light': Object.freeze({
+        name: 'light',
+        background: 'white',
+        body: '#F0F0F0',
+        featureFill: 'white',
+        border: '#444',
+        borderOpacity: 0.3,
+        divider: '#444',
+        active: 'blue',
+        selected: '#F28C00',
+        path: 'red',
+        hiddenPath: '#CCC',
+        nerve: '#888',
+        activeNerve: '#222',
+        label: '#000',
+        activeLabel: '#8300bf',
+        labelHalo: 'rgba(0, 0, 0, 0)',
+        labelHaloWidth: 0,
+        labelBackgroundOpacity: 1,
+        minimapFill: '#DDD',
+        minimapLine: '#08F'
+    }),
+    'dark': Object.freeze({
+        name: 'dark',
+        background: '#1E1E1E',
+        body: '#2A2A2A',
+        featureFill: '#1E1E1E',
+        border: '#BBB',
+        borderOpacity: 0.4,
+        divider: '#888',
+        active: '#4DA3FF',
+        selected: '#FFB347',
+        path: '#FF5C5C',
+        hiddenPath: '#555',
+        nerve: '#999',
+        activeNerve: '#EEE',
+        label: '#EEE',
+        activeLabel: '#D9A0FF',
+        labelHalo: '#1E1E1E',
+        labelHaloWidth: 1.5,
+        labelBackgroundOpacity: 0,
+        minimapFill: '#555',
+        minimapLine: '#4DA3FF'
+    }),
+    'high-contrast': Object.freeze({
+        name: 'high-contrast',
+        background: 'white',
+        body: 'white',
+        featureFill: 'white',
+        border: '#000',
+        borderOpacity: 0.9,
+        divider: '#000',
+        active: '#0000EE',
+        selected: '#E0007A',
+        path: '#D00000',
+        hiddenPath: '#999',
+        nerve: '#000',
+        activeNerve: '#0000EE',
+        label: '#000',
+        activeLabel: '#0000EE',
+        labelHalo: '#FFF',
+        labelHaloWidth: 2,
+        labelBackgroundOpacity: 1,
+        minimapFill: '#000',
+        minimapLine: '#0000EE'
+    })
+});
+
+export const DEFAULT_THEME = THEMES['light'];
+
+//==============================================================================
+
+/**
+ * Get a complete theme.
+ *
+ * @param      {string|Object}  theme   The name of a provided theme, or an
+ *                                      object whose fields override those of
+ *                                      the theme named by its ``name`` field,
+ *                                      or the default theme
+ * @return     {Theme}
+ */
+export function resolveTheme(theme)
+//=================================
+{
+    if (theme === undefined || theme === null) {
+        return DEFAULT_THEME;
+    }
+    const name = (typeof theme === 'string') ? theme
+               : ('name' in theme) ? theme.name
+               : DEFAULT_THEME.name;
+    if (!(name in THEMES)) {
+        if (typeof theme === 'string') {
+            throw new TypeError(`Unknown theme: '${name}'`);
+        }
+        return Object.freeze(Object.assign({}, DEFAULT_THEME, theme));
+    }
+    return (typeof theme === 'string') ? THEMES[name]
+                                       : Object.freeze(Object.assign({}, THEMES[name], theme));
+}
+
+//==============================================================================
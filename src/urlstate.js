@@ -0,0 +1,179 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+// A map's view is encoded in a URL's hash or query string as:
+//
+// * ``source``, ``describes`` or ``map`` -- identifies the map.
+// * ``center`` -- longitude and latitude, separated by a comma.
+// * ``zoom``
+// * ``selected`` -- comma separated ids of selected features.
+// * ``highlighted`` -- comma separated ids of highlighted features.
+// * ``paths`` or ``hide-paths`` -- comma separated path types that are
+//   shown (or hidden), with all other paths hidden (or shown).
+
+const MAP_PARAMS = ['source', 'describes', 'map'];
+const VIEW_PARAMS = ['center', 'zoom', 'selected', 'highlighted', 'paths', 'hide-paths'];
+
+//==============================================================================
+
+function hashParams(url)
+//======================
+{
+    return new URLSearchParams(url.hash.slice(1));
+}
+
+function hasMapParam(params)
+//==========================
+{
+    return MAP_PARAMS.some(name => params.has(name));
+}
+
+function list(value)
+//==================
+{
+    return value.split(',').filter(item => item !== '');
+}
+
+//==============================================================================
+
+/**
+ * Get the map and view encoded in a URL.
+ *
+ * The URL's hash is checked before its query string.
+ *
+ * @param      {string}  url     The URL
+ * @return     {Object|null}  An ``identifier`` for the map and its
+ *                            ``state``, or ``null`` if the URL doesn't
+ *                            identify a map
+ */
+export function decodeUrlState(url)
+//=================================
+{
+    const parsedUrl = new URL(url);
+    let params = hashParams(parsedUrl);
+    if (!hasMapParam(params)) {
+        params = parsedUrl.searchParams;
+        if (!hasMapParam(params)) {
+            return null;
+        }
+    }
+
+    const identifier = params.has('source') ? {source: params.get('source')}
+                     : params.has('describes') ? {describes: params.get('describes')}
+                     : params.get('map');
+
+    const state = {};
+    if (params.has('center')) {
+        const center = list(params.get('center')).map(Number);
+        if (center.length === 2 && center.every(Number.isFinite)) {
+            state.center = center;
+        }
+    }
+    if (params.has('zoom')) {
+        const zoom = Number(params.get('zoom'));
+        if (Number.isFinite(zoom)) {
+            state.zoom = zoom;
+        }
+    }
+    if (params.has('selected')) {
+        state.selected = list(params.get('selected'));
+    }
+    if (params.has('highlighted')) {
+        state.highlighted = list(params.get('highlighted'));
+    }
+    if (params.has('paths')) {
+        state.pathFilter = {pathTypes: list(params.get('paths')), enable: true};
+    } else if (params.has('hide-paths')) {
+        state.pathFilter = {pathTypes: list(params.get('hide-paths')), enable: false};
+    }
+    return {
+        identifier: identifier,
+        state: state
+    };
+}
+
+//==============================================================================
+
+/**
+ * Keep the browser's URL in step with a map's view.
+ *
+ * The URL is replaced rather than added to the browser's history.
+ */
+export class UrlState
+{
+    constructor(flatmap, mode)
+    {
+        this._flatmap = flatmap;
+        this._useQuery = (mode === 'query');
+    }
+
+    encode_(params)
+    //=============
+    {
+        for (const name of MAP_PARAMS.concat(VIEW_PARAMS)) {
+            params.delete(name);
+        }
+        const identifier = this._flatmap.getIdentifier();
+        if (identifier.source) {
+            params.set('source', identifier.source);
+        } else {
+            params.set('map', this._flatmap.id);
+        }
+
+        const state = this._flatmap.getState();
+        if ('center' in state) {
+            params.set('center', state.center.map(value => value.toFixed(5)).join(','));
+        }
+        if ('zoom' in state) {
+            params.set('zoom', state.zoom.toFixed(2));
+        }
+        if (state.selected && state.selected.length > 0) {
+            params.set('selected', [].concat(state.selected).join(','));
+        }
+        if (state.highlighted && state.highlighted.length > 0) {
+            params.set('highlighted', state.highlighted.join(','));
+        }
+        if (state.pathFilter) {
+            params.set(state.pathFilter.enable ? 'paths' : 'hide-paths',
+                       state.pathFilter.pathTypes.join(','));
+        }
+        return params;
+    }
+
+    update()
+    //======
+    {
+        const url = new URL(window.location.href);
+        if (this._useQuery) {
+            url.search = this.encode_(url.searchParams).toString();
+        } else {
+            url.hash = this.encode_(hashParams(url)).toString();
+        }
+        if (url.href !== window.location.href) {
+            window.history.replaceState(window.history.state, '', url.href);
+        }
+    }
+}
+
+//==============================================================================
@@ -93,3 +93,28 @@ export class Mutex
 }
 
 //==============================================================================
+
+/**
+ * Save text as a file, using the browser's download.
+ *
+ * @param      {string}  name    The file's name
+ * @param      {string}  text    The file's contents
+ * @param      {string}  type    The file's MIME type
+ */
+export function downloadFile(name, text, type)
+//============================================
+{
+    const url = URL.createObjectURL(new Blob([text], {type: type}));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    // Revoking the URL straight away can cancel the download
+
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+//==============================================================================
@@ -0,0 +1,292 @@
+/******************************************************************************
+
+Flatmap viewer and annotation tool
+
+Copyright (c) 2019  David Brooks
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+
+******************************************************************************/
+
+'use strict';
+
+//==============================================================================
+
+import {BadFormatError} from './errors.js';
+import {normalisePayload} from './formats.js';
+import {downloadFile} from './utils.js';
+
+//==============================================================================
+
+const VIEWS_VERSION = 1;
+
+//==============================================================================
+
+function importedState(state)
+//===========================
+{
+    // Imported popups only have plain text content. Popups exported as HTML
+    // are reduced to their text, parsed into an inert document so that no
+    // scripts run
+
+    if (!state.popup) {
+        return state;
+    }
+    const popup = Object.assign({}, state.popup);
+    if (popup.html) {
+        const html = new DOMParser().parseFromString(String(popup.content), 'text/html');
+        popup.content = html.body.textContent;
+        delete popup.html;
+    } else if (typeof popup.content !== 'string') {
+        popup.content = '';
+    }
+    return Object.assign({}, state, {popup: popup});
+}
+
+//==============================================================================
+
+/**
+ * Named states of a map.
+ */
+export class SavedViews
+{
+    constructor()
+    {
+        this._views = new Map();
+    }
+
+    get names()
+    //=========
+    {
+        return Array.from(this._views.keys());
+    }
+
+    get(name)
+    //=======
+    {
+        const view = this._views.get(name);
+        return (view !== undefined) ? view.state : null;
+    }
+
+    save(name, state)
+    //===============
+    {
+        this._views.set(name, {
+            name: name,
+            created: new Date().toISOString(),
+            state: state
+        });
+    }
+
+    delete(name)
+    //==========
+    {
+        return this._views.delete(name);
+    }
+
+    export(identifier)
+    //================
+    {
+        return {
+            version: VIEWS_VERSION,
+            flatmap: identifier,
+            views: Array.from(this._views.values())
+        };
+    }
+
+    import(views, replace, identifier)
+    //================================
+    {
+        // Views are checked before any are changed. Views of a map describing
+        // something else are refused, and views of another version of the map
+        // are imported with a warning
+
+        views = normalisePayload('views', views);
+        const flatmap = views.flatmap;
+        if (flatmap && typeof flatmap === 'object') {
+            if (flatmap.describes !== identifier.describes) {
+                throw new BadFormatError('views', 'flatmap', `are for a different map (${flatmap.describes})`);
+            } else if (flatmap.source !== identifier.source) {
+                console.warn(`Importing views saved with another version of the map (${flatmap.source})`);
+            }
+        }
+        const imported = views.views;
+        if (replace) {
+            this._views.clear();
+        }
+        for (const view of imported) {
+            this._views.set(view.name, {
+                name: view.name,
+                created: view.created || new Date().toISOString(),
+                state: importedState(view.state)
+            });
+        }
+        return imported.length;
+    }
+}
+
+//==============================================================================
+
+/**
+ * A control to save, restore, delete, export and import a map's views.
+ */
+export class SavedViewsControl
+{
+    constructor(flatmap)
+    {
+        this._flatmap = flatmap;
+        this._map = undefined;
+    }
+
+    getDefaultPosition()
+    //==================
+    {
+        return 'top-right';
+    }
+
+    onAdd(map)
+    //========
+    {
+        this._map = map;
+        this._container = document.createElement('div');
+        this._container.className = 'mapboxgl-ctrl';
+        this._container.id = 'flatmap-views-control';
+
+        this._button = document.createElement('button');
+        this._button.id = 'views-control-button';
+        this._button.className = 'control-button';
+        this._button.title = 'Saved views';
+        this._button.setAttribute('type', 'button');
+        this._button.setAttribute('aria-label', 'Saved views');
+        this._button.textContent = 'VWS';
+        this._container.appendChild(this._button);
+
+        this._panel = document.createElement('div');
+        this._panel.className = 'flatmap-views-panel';
+        this._panel.innerHTML = `<div class="flatmap-views-save">
+    <input type="text" id="views-control-name" placeholder="View name" aria-label="View name"/>
+    <button type="button" id="views-control-save">Save</button>
+</div>
+<ul class="flatmap-views-list"></ul>
+<div class="flatmap-views-files">
+    <button type="button" id="views-control-export">Export</button>
+    <button type="button" id="views-control-import">Import</button>
+    <input type="file" id="views-control-file" accept=".json,application/json" hidden/>
+</div>`;
+        this._list = this._panel.querySelector('.flatmap-views-list');
+        this._nameInput = this._panel.querySelector('#views-control-name');
+        this._fileInput = this._panel.querySelector('#views-control-file');
+        this._fileInput.addEventListener('change', this.importFile_.bind(this));
+        this._nameInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.saveView_();
+            }
+        });
+
+        this._container.addEventListener('click', this.onClick_.bind(this));
+        return this._container;
+    }
+
+    onRemove()
+    //========
+    {
+        this._container.parentNode.removeChild(this._container);
+        this._map = undefined;
+    }
+
+    update()
+    //======
+    {
+        if (this._map === undefined) {
+            return;
+        }
+        this._list.innerHTML = '';
+        for (const name of this._flatmap.listViews()) {
+            const item = document.createElement('li');
+            const restore = document.createElement('button');
+            restore.className = 'flatmap-views-restore';
+            restore.setAttribute('type', 'button');
+            restore.title = 'Restore view';
+            restore.textContent = name;
+            restore.dataset.view = name;
+            const remove = document.createElement('button');
+            remove.className = 'flatmap-views-delete';
+            remove.setAttribute('type', 'button');
+            remove.setAttribute('aria-label', `Delete ${name}`);
+            remove.title = 'Delete view';
+            remove.textContent = '×';
+            remove.dataset.view = name;
+            item.appendChild(restore);
+            item.appendChild(remove);
+            this._list.appendChild(item);
+        }
+    }
+
+    saveView_()
+    //=========
+    {
+        const name = this._nameInput.value.trim();
+        if (name !== '') {
+            this._flatmap.saveView(name);
+            this._nameInput.value = '';
+        }
+    }
+
+    exportFile_()
+    //===========
+    {
+        downloadFile(`${this._flatmap.id}-views.json`, this._flatmap.exportViews(), 'application/json');
+    }
+
+    async importFile_()
+    //=================
+    {
+        if (this._fileInput.files.length > 0) {
+            const json = await this._fileInput.files[0].text();
+            this._fileInput.value = '';
+            try {
+                this._flatmap.importViews(json);
+            } catch (error) {
+                this._flatmap.errorEvent(error);
+            }
+        }
+    }
+
+    onClick_(event)
+    //=============
+    {
+        const target = event.target;
+        if (target.id === 'views-control-button') {
+            if (this._panel.parentNode === null) {
+                this.update();
+                this._container.appendChild(this._panel);
+                this._nameInput.focus();
+            } else {
+                this._container.removeChild(this._panel);
+            }
+        } else if (target.id === 'views-control-save') {
+            this.saveView_();
+        } else if (target.id === 'views-control-export') {
+            this.exportFile_();
+        } else if (target.id === 'views-control-import') {
+            this._fileInput.click();
+        } else if (target.classList.contains('flatmap-views-restore')) {
+            this._flatmap.restoreView(target.dataset.view);
+        } else if (target.classList.contains('flatmap-views-delete')) {
+            this._flatmap.deleteView(target.dataset.view);
+        }
+        event.stopPropagation();
+    }
+}
+
+//==============================================================================